@@ -4,11 +4,8 @@
    ═══════════════════════════════════════════ */
 
 // ─── UI State ───
-let isFavorite = false;
 let schedulePanelOpen = false;
 let aboutOpen = false;
-let elapsedSeconds = 0;
-let timerInterval = null;
 
 // ─── Beat Detection State ───
 let energyHistory = [];
@@ -33,16 +30,27 @@ const heroTitle = document.getElementById('heroTitle');
 const trackTitleEl = document.getElementById('trackTitle');
 const trackArtistEl = document.getElementById('trackArtist');
 const trackDurationEl = document.getElementById('trackDuration');
+const progressBar = document.getElementById('progressBar');
+const progressFill = document.getElementById('progressFill');
 const channelButtons = document.querySelectorAll('.channel-btn');
 
 /* ═══════════════════════════════════════════
    RADIO ENGINE SETUP
    ═══════════════════════════════════════════ */
 
+const session = new SessionStore();  // localStorage-backed resume point
+const playHistory = new PlayHistory();  // plays / skips / favorites, kept across visits
+
 const radio = new RadioEngine({
   crossfadeDuration: 4,     // longer for groove continuity
   preloadAhead: 10,
-  bpmRange: { min: 110, max: 125 }
+  bpmRange: { min: 110, max: 125 },
+  beatmatch: { enabled: true },  // nudge incoming tempo during crossfades
+  analyzer: new TrackAnalyzer(),  // fills bpm/energy for untagged tracks
+  liveMetadata: new IcyMetadataReader(),  // ICY now-playing in live mode
+  history: playHistory,
+  historyWeighting: { enabled: true },  // favorites up, often-skipped tracks down
+  session
 });
 
 // ─── Register Genre Pools — 2026 SA Vanguard Artists ───
@@ -101,6 +109,28 @@ radio.registerGenre('piano', {
 // ─── Start with blended flow (all genres mixed) ───
 radio.setFilter('all');
 
+// ─── Extra genre pools from a catalog file: ?catalog=catalog.json ───
+const catalogLoader = new CatalogLoader(radio);
+const catalogUrl = new URLSearchParams(window.location.search).get('catalog');
+let stationStarted = false; // once anything has aired, the queue is the listener's
+radio.on('stateChange', ({ isPlaying }) => { if (isPlaying) stationStarted = true; });
+
+if (catalogUrl) {
+  catalogLoader.loadCatalog(catalogUrl).then((report) => {
+    const problems = report.errors.length + report.warnings.length;
+    showToast(`📂 ${report.registered} tracks loaded${problems ? ` · ${problems} issues (see console)` : ''}`);
+    if (problems) console.table([...report.errors, ...report.warnings]);
+    report.imaging.forEach(asset => imagingDeck.addAsset(asset));
+
+    // Fold the new pools into the blend before the first play. A started or
+    // restored queue keeps its place; the pools join at its next rebuild.
+    if (!stationStarted && !sessionRestored) radio.setFilter(radio.activeFilter);
+  }).catch((e) => {
+    console.warn('[Catalog] Load failed:', e);
+    showToast('⚠ Catalog failed to load');
+  });
+}
+
 /* ═══════════════════════════════════════════
    DJ PERSONA SETUP
    ═══════════════════════════════════════════ */
@@ -112,12 +142,85 @@ djPersona.rate = 0.92;
 const djScriptGen = new ScriptGenerator(djPersona);
 const djVoiceSynth = new VoiceSynthesizer();
 const djInjector = new AudioInjector(radio);
-const djController = new StreamController(djScriptGen, djVoiceSynth, djInjector);
+const djController = new StreamController(djScriptGen, djVoiceSynth, djInjector, { session });
 
 // DJ indicator element
 const djIndicator = document.getElementById('djIndicator');
 const djToggleBtn = document.getElementById('djToggleBtn');
 
+/* ═══════════════════════════════════════════
+   MIX RECORDER (archive sessions as mixtapes)
+   ═══════════════════════════════════════════ */
+
+const recorder = new MixRecorder(radio);
+const recordBtn = document.getElementById('recordBtn');
+
+// Every finished file (including size roll-overs) downloads as it lands
+recorder.onPart = (part) => recorder.download(part);
+recorder.onStateChange = ({ state }) => updateRecordUI(state);
+recorder.onError = (err) => showToast(`⚠ Recording: ${err.message}`);
+
+/* ═══════════════════════════════════════════
+   BROADCAST LOG (what aired, for tracklists)
+   ═══════════════════════════════════════════ */
+
+const broadcastLog = new BroadcastLog(radio);
+djInjector.onSpeakStart = (text) => {
+  broadcastLog.startSegment(text);
+  sponsors.noteSpoken(text);
+};
+djInjector.onSpeakEnd = () => broadcastLog.endSegment();
+
+/* ═══════════════════════════════════════════
+   SLEEP TIMER (wind down, sign off, fade out)
+   ═══════════════════════════════════════════ */
+
+const sleepTimer = new SleepTimer(radio, { dj: djController });
+const sleepBtn = document.getElementById('sleepBtn');
+const SLEEP_PRESETS = [15, 30, 60, 'endOfTrack']; // each click moves one step, then off
+let sleepPreset = null;
+
+sleepTimer.onTick = ({ remaining }) => {
+  if (sleepBtn) sleepBtn.title = `Sleep in ${formatTime(remaining)} (S)`;
+};
+sleepTimer.onStateChange = ({ state }) => {
+  updateSleepUI(state);
+  if (state === 'windDown') showToast('🌙 Winding down');
+  if (state === 'fading') showToast('🌙 Goodnight');
+  if (state === 'idle') sleepPreset = null;
+};
+
+/* ═══════════════════════════════════════════
+   IMAGING DECK (idents, stingers, sweepers)
+   Assets come from the catalog's "imaging" list
+   ═══════════════════════════════════════════ */
+
+const imagingDeck = new ImagingDeck(radio, { injector: djInjector });
+
+/* ═══════════════════════════════════════════
+   SPONSORS (campaigns, ad breaks, impressions)
+   House campaigns run open-ended; sold ones
+   carry flight dates, caps and audio spots.
+   ═══════════════════════════════════════════ */
+
+const sponsors = new SponsorManager(radio, {
+  dj: djController,
+  campaigns: [
+    { sponsor: 'Neon Dust Clothing', hourlyCap: 2, dailyCap: 16,
+      reads: ['Powered by Neon Dust Clothing.', 'Neon Dust Clothing. Dressed for the after-hours.'] },
+    { sponsor: 'Hyper-Coffee', hourlyCap: 2, dailyCap: 16, weight: 2,
+      reads: ['Powered by Hyper-Coffee.', 'Hyper-Coffee. Brewed for the late shift.'] },
+    { sponsor: 'Quantum Socks', hourlyCap: 1, dailyCap: 8 },
+    { sponsor: 'Midnight Pixel Studios', hourlyCap: 1, dailyCap: 8 },
+    { sponsor: 'Deep Frequency Audio', hourlyCap: 2, dailyCap: 12,
+      reads: ['Powered by Deep Frequency Audio.', 'Deep Frequency Audio. Hear every layer of the low end.'] },
+    { sponsor: 'Ghost Protocol VPN', hourlyCap: 1, dailyCap: 8 }
+  ]
+});
+djScriptGen.sponsors = sponsors;
+
+sponsors.onBreakStart = () => showToast('📣 Quick break — back after this');
+
 function updateDJIndicator(speaking) {
   if (djIndicator) {
     djIndicator.classList.toggle('dj-speaking', speaking);
@@ -135,6 +238,13 @@ radio.onTrackChange = (track) => {
   if (trackTitleEl) trackTitleEl.textContent = track.title || 'Unknown';
   if (trackArtistEl) trackArtistEl.textContent = track.artist || 'Amaradio';
   if (trackDurationEl) trackDurationEl.textContent = track.duration || '∞';
+  updateProgressUI(0, 0);
+  updateFavoriteUI(playHistory.isFavorite(track));
+};
+
+// Engine time drives the clock and the progress bar
+radio.onTimeUpdate = ({ currentTime, duration }) => {
+  updateProgressUI(currentTime, duration);
 };
 
 radio.onStateChange = (state) => {
@@ -158,7 +268,6 @@ radio.onStateChange = (state) => {
     nowPlayingLabel.classList.remove('text-slate-500');
     nowPlayingLabel.classList.add('text-primary');
 
-    startTimer();
     animateListenerCount(4203, 4204);
   } else {
     document.body.classList.remove('is-playing');
@@ -179,7 +288,6 @@ radio.onStateChange = (state) => {
     nowPlayingLabel.classList.remove('text-primary');
     nowPlayingLabel.classList.add('text-slate-500');
 
-    clearInterval(timerInterval);
     animateListenerCount(4204, 4203);
 
     // Reset animation CSS vars
@@ -198,6 +306,25 @@ radio.onChannelChange = (data) => {
   if (genreBadge) genreBadge.textContent = data.genre.toUpperCase();
 };
 
+radio.onSessionRestore = (data) => {
+  updateChannelUI(data.channel);
+  updateMuteUI(data.isMuted);
+  if (data.track) showToast(`⏮ Resume ${data.track.title} — press play`);
+};
+
+radio.onDegraded = (data) => {
+  showToast(data.fallback ? '📡 Signal degraded — switched to the backup stream' : '⚠ No playable source right now');
+};
+
+radio.onRecovered = () => {
+  showToast('✅ Back on the mix');
+};
+
+radio.onDeadAir = (data) => {
+  // Fallback is announced by onDegraded; the quiet rebuffer needs no toast
+  if (data.step === 'skip') showToast(`⏭ Dead air (${data.cause}) — skipping ahead`);
+};
+
 radio.onError = (err) => {
   console.warn('[Amaradio] Error:', err);
   if (err.type === 'playback') {
@@ -217,6 +344,112 @@ radio.onEnergyPhaseChange = (data) => {
   setTimeout(() => updateDJIndicator(false), 5000);
 };
 
+/* ═══════════════════════════════════════════
+   SESSION RESUME
+   Puts back the queue, arc position, filter,
+   volume/mute and DJ toggle from the last visit.
+   ═══════════════════════════════════════════ */
+
+const sessionRestored = radio.restoreSession();
+if (djController.restoreSession()) updateDJToggleUI(djController.enabled);
+
+/* ═══════════════════════════════════════════
+   PROGRAM SCHEDULE
+   Dayparts drive filter, arc, host and talk
+   frequency. A restored session keeps its music
+   until the next show starts.
+   ═══════════════════════════════════════════ */
+
+const nightPersona = new Persona('Amaradio After Dark', 'night', 'late-night host, hushed, unhurried');
+nightPersona.pitch = 0.9;
+nightPersona.rate = 0.85;
+
+const scheduler = new ProgramScheduler(radio, {
+  dj: djController,
+  personas: { night: nightPersona },
+  defaultShow: {
+    name: 'Amaradio Rotation', label: 'Blend',
+    description: 'Every pool • Classic arc', filter: 'all', arcProfile: 'classic'
+  },
+  shows: [
+    {
+      name: 'Morning Keys', start: '06:00', end: '10:00', label: 'Piano',
+      description: 'Private School Piano • Slow burn', filter: 'piano', arcProfile: 'slowBurn', talkFrequency: 0.5
+    },
+    {
+      name: 'Midday Blend', start: '10:00', end: '16:00', label: 'Blend',
+      description: 'Amapiano-led mix • Classic arc', filter: { amapiano: 2, afrotech: 1, piano: 1 }, arcProfile: 'classic'
+    },
+    {
+      name: 'Drive Time', start: '16:00', end: '20:00', label: 'Amapiano',
+      description: 'Log drums for the commute • Peak time', filter: 'amapiano', arcProfile: 'peakTime'
+    },
+    {
+      name: 'Log Drum Sessions', days: ['fri', 'sat'], start: '20:00', end: '02:00', priority: 1, label: 'Amapiano',
+      description: 'Weekend peak hours', filter: 'amapiano', arcProfile: 'peakTime', talkFrequency: 0.5
+    },
+    {
+      name: 'Night Transmission', start: '22:00', end: '06:00', label: 'AfroTech',
+      description: 'Deep AfroTech & keys • After Dark', filter: { afrotech: 2, piano: 1 }, arcProfile: 'slowBurn',
+      persona: 'night', talkFrequency: 0.25
+    }
+  ]
+});
+
+scheduler.onShowChange = ({ show, previous }) => {
+  if (show && previous) showToast(`📻 On air: ${show.name}`);
+  renderSchedule();
+};
+scheduler.onError = (err) => console.warn('[Amaradio] Schedule:', err.message);
+scheduler.start({ apply: !sessionRestored });
+
+function renderSchedule() {
+  const slot = scheduler.getSlotAt();
+  const titleEl = document.getElementById('currentShowTitle');
+  const detailsEl = document.getElementById('currentShowDetails');
+  const badgeEl = document.getElementById('currentGenreBadge');
+
+  if (slot) {
+    const until = slot.endsAt ? `until ${ProgramScheduler.formatTime(slot.endsAt)}` : 'all day';
+    if (titleEl) titleEl.textContent = slot.show.name;
+    if (detailsEl) detailsEl.textContent = [slot.show.description, until].filter(Boolean).join(' • ');
+    if (badgeEl && slot.show.label) badgeEl.textContent = slot.show.label.toUpperCase();
+  }
+
+  const list = document.getElementById('upNextList');
+  if (list) list.replaceChildren(...scheduler.getUpcoming(3).map(renderUpNextItem));
+}
+
+function renderUpNextItem({ show, startsAt }) {
+  const today = startsAt.toDateString() === new Date().toDateString();
+  const day = today ? '' : `${startsAt.toLocaleDateString(undefined, { weekday: 'short' })} `;
+
+  const item = document.createElement('div');
+  item.className = 'flex items-center gap-4 p-3 rounded-xl hover:bg-white/5 transition-colors group border border-transparent hover:border-white/5';
+
+  const icon = document.createElement('div');
+  icon.className = 'relative shrink-0 size-16 rounded-lg bg-white/10 flex items-center justify-center text-primary';
+  icon.innerHTML = '<span class="material-symbols-outlined">radio</span>';
+
+  const body = document.createElement('div');
+  body.className = 'flex flex-col flex-1 min-w-0';
+  const name = document.createElement('span');
+  name.className = 'text-white font-bold truncate pr-2';
+  name.textContent = show.name;
+  const meta = document.createElement('div');
+  meta.className = 'flex items-center gap-2 text-white/50 text-xs';
+  const time = document.createElement('span');
+  time.className = 'font-mono text-primary';
+  time.textContent = day + ProgramScheduler.formatTime(startsAt);
+  const label = document.createElement('span');
+  label.textContent = show.label || show.description || '';
+  meta.append(time, '•', label);
+  body.append(name, meta);
+
+  item.append(icon, body);
+  return item;
+}
+
 /* ═══════════════════════════════════════════
    PLAYBACK CONTROLS
    ═══════════════════════════════════════════ */
@@ -233,12 +466,90 @@ async function togglePlayback() {
 function toggleDJ() {
   const enabled = djController.toggle();
   showToast(enabled ? '🎙️ DJ NOVA is live' : '🔇 DJ NOVA muted');
+  updateDJToggleUI(enabled);
+}
+
+function updateDJToggleUI(enabled) {
   if (djToggleBtn) {
     djToggleBtn.classList.toggle('text-primary', enabled);
     djToggleBtn.classList.toggle('text-slate-400', !enabled);
   }
 }
 
+async function toggleRecording() {
+  if (recorder.state === 'inactive') {
+    if (recorder.start()) showToast('⏺ Recording the mix');
+  } else {
+    const startedAt = recorder.sessionStamp;
+    const part = await recorder.stop();
+    // Tracklist to post with the mix, timed from the start of the recording
+    broadcastLog.download('cue', {
+      origin: startedAt,
+      since: +startedAt,
+      file: part ? part.filename : undefined
+    });
+    showToast(`💾 Mix saved — ${formatTime(recorder.elapsed)}`);
+  }
+}
+
+function exportTracklist(format) {
+  if (broadcastLog.getTracks().length === 0) {
+    showToast('📝 Nothing on the log yet');
+    return;
+  }
+  broadcastLog.download(format);
+  showToast(`📝 Tracklist exported (${format.toUpperCase()})`);
+}
+
+function exportImpressions(format) {
+  if (sponsors.impressions.length === 0) {
+    showToast('📣 No sponsor impressions yet');
+    return;
+  }
+  sponsors.download(format);
+  showToast(`📣 Impression report exported (${format.toUpperCase()})`);
+}
+
+function cycleSleepTimer() {
+  const current = sleepTimer.isActive ? sleepPreset : null;
+  const next = SLEEP_PRESETS[SLEEP_PRESETS.indexOf(current) + 1];
+
+  // Past the last preset (or end of track on a live stream, which has none): off
+  if (next === undefined || !sleepTimer.set(next)) {
+    sleepTimer.cancel();
+    sleepPreset = null;
+    showToast('☀️ Sleep timer off');
+    return;
+  }
+  sleepPreset = next;
+  showToast(next === 'endOfTrack' ? '🌙 Sleeping after this track' : `🌙 Sleeping in ${next} min`);
+}
+
+function updateSleepUI(state) {
+  if (!sleepBtn) return;
+  sleepBtn.classList.toggle('text-primary', state !== 'idle');
+  sleepBtn.classList.toggle('text-slate-400', state === 'idle');
+  if (state === 'idle') sleepBtn.title = 'Sleep timer (S)';
+}
+
+function toggleRecordingPause() {
+  if (recorder.state === 'recording') {
+    recorder.pause();
+    showToast('⏸ Recording paused');
+  } else if (recorder.state === 'paused') {
+    recorder.resume();
+    showToast('⏺ Recording resumed');
+  }
+}
+
+function updateRecordUI(state) {
+  if (!recordBtn) return;
+  recordBtn.classList.toggle('text-red-500', state === 'recording');
+  recordBtn.classList.toggle('animate-pulse', state === 'recording');
+  recordBtn.classList.toggle('text-amber-400', state === 'paused');
+  recordBtn.classList.toggle('text-slate-400', state === 'inactive');
+}
+
 function skipNext() {
   radio.next();
 }
@@ -251,10 +562,16 @@ function switchChannel(channelKey) {
   radio.switchChannel(channelKey);
 }
 
+async function goLive() {
+  if (await radio.playLive()) showToast('📡 Live stream — now playing from the source');
+}
+
 function updateChannelUI(activeKey) {
+  // activeKey is 'all', a genre key, or a blend { key: weight }
+  const inBlend = key => typeof activeKey === 'object' && activeKey !== null && activeKey[key] > 0;
   channelButtons.forEach(btn => {
     const key = btn.dataset.channel;
-    if (key === activeKey) {
+    if (key === activeKey || inBlend(key)) {
       btn.classList.add('channel-active');
     } else {
       btn.classList.remove('channel-active');
@@ -491,17 +808,66 @@ function updateDecorativeData(bands) {
 }
 
 /* ═══════════════════════════════════════════
-   TIMER
+   TRACK PROGRESS (scrub to seek)
    ═══════════════════════════════════════════ */
 
-function startTimer() {
-  clearInterval(timerInterval);
-  timerInterval = setInterval(() => {
-    elapsedSeconds++;
-    const m = Math.floor(elapsedSeconds / 60);
-    const s = elapsedSeconds % 60;
-    if (trackTime) trackTime.textContent = `${m}:${s.toString().padStart(2, '0')}`;
-  }, 1000);
+let isScrubbing = false;
+
+function formatTime(seconds) {
+  const total = Math.max(0, Math.floor(seconds || 0));
+  return `${Math.floor(total / 60)}:${(total % 60).toString().padStart(2, '0')}`;
+}
+
+function updateProgressUI(currentTime, duration) {
+  if (isScrubbing) return; // the thumb follows the pointer while dragging
+
+  const seekable = isFinite(duration) && duration > 0;
+  if (trackTime) trackTime.textContent = formatTime(currentTime);
+  if (trackDurationEl && seekable) trackDurationEl.textContent = formatTime(duration);
+
+  if (progressFill) progressFill.style.width = seekable ? `${(currentTime / duration) * 100}%` : '0%';
+  if (progressBar) {
+    progressBar.classList.toggle('progress-live', !seekable);
+    progressBar.setAttribute('aria-valuemax', seekable ? Math.round(duration) : 0);
+    progressBar.setAttribute('aria-valuenow', Math.round(currentTime || 0));
+  }
+}
+
+function scrubRatio(e) {
+  const rect = progressBar.getBoundingClientRect();
+  return Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+}
+
+if (progressBar) {
+  progressBar.addEventListener('pointerdown', (e) => {
+    if (!isFinite(radio.duration) || radio.duration <= 0) return;
+    isScrubbing = true;
+    progressBar.setPointerCapture(e.pointerId);
+    progressBar.classList.add('progress-scrubbing');
+    progressFill.style.width = `${scrubRatio(e) * 100}%`;
+  });
+
+  progressBar.addEventListener('pointermove', (e) => {
+    if (!isScrubbing) return;
+    const ratio = scrubRatio(e);
+    progressFill.style.width = `${ratio * 100}%`;
+    if (trackTime) trackTime.textContent = formatTime(ratio * radio.duration);
+  });
+
+  progressBar.addEventListener('pointerup', (e) => {
+    if (!isScrubbing) return;
+    isScrubbing = false;
+    progressBar.classList.remove('progress-scrubbing');
+    if (!radio.seek(scrubRatio(e) * radio.duration)) {
+      showToast('⏳ Mixing — seek after the transition');
+    }
+    updateProgressUI(radio.currentTime, radio.duration);
+  });
+
+  progressBar.addEventListener('pointercancel', () => {
+    isScrubbing = false;
+    progressBar.classList.remove('progress-scrubbing');
+  });
 }
 
 /* ═══════════════════════════════════════════
@@ -526,26 +892,34 @@ function animateListenerCount(from, to) {
 
 function toggleMute() {
   const muted = radio.toggleMute();
+  updateMuteUI(muted);
+  showToast(muted ? '🔇 Muted' : '🔊 Unmuted');
+}
+
+function updateMuteUI(muted) {
   const btn = document.getElementById('volBtn');
   const icon = btn.querySelector('.material-symbols-outlined');
   icon.textContent = muted ? 'volume_off' : 'volume_up';
-  showToast(muted ? '🔇 Muted' : '🔊 Unmuted');
 }
 
-function toggleFavorite(btn) {
-  isFavorite = !isFavorite;
-  const icon = btn.querySelector('.material-symbols-outlined');
-  if (isFavorite) {
-    icon.style.fontVariationSettings = "'FILL' 1";
-    btn.classList.remove('text-slate-400');
-    btn.classList.add('text-red-400');
-    showToast('❤️ Added to favorites');
-  } else {
-    icon.style.fontVariationSettings = "'FILL' 0";
-    btn.classList.remove('text-red-400');
-    btn.classList.add('text-slate-400');
-    showToast('Removed from favorites');
+function toggleFavorite() {
+  const track = radio.currentTrack;
+  if (!track || track.isStream) {
+    showToast('❤️ Favorites are for tracks, not the live stream');
+    return;
   }
+  const favorite = playHistory.toggleFavorite(track);
+  updateFavoriteUI(favorite);
+  showToast(favorite ? '❤️ Added to favorites' : 'Removed from favorites');
+}
+
+function updateFavoriteUI(favorite) {
+  const btn = document.getElementById('favBtn');
+  if (!btn) return;
+  const icon = btn.querySelector('.material-symbols-outlined');
+  icon.style.fontVariationSettings = favorite ? "'FILL' 1" : "'FILL' 0";
+  btn.classList.toggle('text-red-400', favorite);
+  btn.classList.toggle('text-slate-400', !favorite);
 }
 
 function shareStation() {
@@ -577,6 +951,7 @@ function toggleSchedulePanel() {
   const panel = document.getElementById('schedulePanel');
   schedulePanelOpen = !schedulePanelOpen;
   if (schedulePanelOpen) {
+    renderSchedule();
     panel.classList.add('active');
     document.body.style.overflow = 'hidden';
   } else {
@@ -732,6 +1107,12 @@ document.addEventListener('keydown', (e) => {
   if (e.code === 'KeyD') toggleDJ();
   if (e.code === 'ArrowRight') skipNext();
   if (e.code === 'ArrowLeft') skipPrev();
+  if (e.code === 'KeyL') goLive();
+  if (e.code === 'KeyR') e.shiftKey ? toggleRecordingPause() : toggleRecording();
+  if (e.code === 'KeyT') exportTracklist(e.shiftKey ? 'json' : 'txt');
+  if (e.code === 'KeyS') cycleSleepTimer();
+  if (e.code === 'KeyI') exportImpressions(e.shiftKey ? 'json' : 'csv');
+  if (e.code === 'KeyJ' && radio.isPlaying) imagingDeck.playNow(e.shiftKey ? 'sweeper' : 'ident');
   // Genre filter: 0=blend, 1=amapiano, 2=afrotech, 3=private school
   if (e.code === 'Digit0') switchChannel('all');
   if (e.code === 'Digit1') switchChannel('amapiano');
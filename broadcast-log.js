@@ -0,0 +1,333 @@
+/* ═══════════════════════════════════════════
+   AMARADIO — Broadcast Log v1.0
+   What aired, when, and how it got there
+
+   • One entry per track on air: start / end,
+     airtime (pauses excluded), transition style,
+     energy phase
+   • DJ segments logged alongside the music
+   • Export: CUE sheet, JSON, plain-text tracklist
+
+   Times are wall-clock (ms since epoch). Exports
+   take an origin so offsets line up with a mix
+   recording (MixRecorder.sessionStamp); pausing
+   the recorder shifts everything after the pause.
+   ═══════════════════════════════════════════ */
+
+class BroadcastLog {
+    constructor(radioEngine, options = {}) {
+        this.engine = radioEngine;
+
+        // ─── Configuration ───
+        this.stationName = options.stationName || 'Amaradio';
+        this.maxEntries = options.maxEntries || 2000;   // oldest entries drop off past this
+        this.filenamePrefix = options.filenamePrefix || 'amaradio-log';
+
+        // ─── State ───
+        this.entries = [];           // tracks and DJ segments, in airing order
+        this._current = null;        // track entry on air (endedAt null)
+        this._currentKey = null;
+        this._pendingTransition = null; // { style, at } — crossfade under way
+        this._pausedAt = null;
+        this._segment = null;        // DJ segment being spoken
+
+        // ─── Callbacks ───
+        this.onEntry = null;         // (entry) when a track or DJ segment closes
+
+        this._unsubscribe = [
+            radioEngine.on('transition', (data) => {
+                this._pendingTransition = { style: data.style, at: Date.now() };
+            }),
+            radioEngine.on('trackChange', (track) => this._onTrackChange(track)),
+            radioEngine.on('stateChange', (state) => this._onStateChange(state))
+        ];
+    }
+
+    /* ═══════════════════════════════════════════
+       PUBLIC API
+       ═══════════════════════════════════════════ */
+
+    // Wire to AudioInjector.onSpeakStart / onSpeakEnd
+    startSegment(text) {
+        if (this._segment) this.endSegment();
+        this._segment = {
+            type: 'dj',
+            text,
+            startedAt: Date.now(),
+            endedAt: null,
+            duringTrack: this._current ? this._current.title : null
+        };
+        this._push(this._segment);
+    }
+
+    endSegment() {
+        if (!this._segment) return;
+        this._segment.endedAt = Date.now();
+        this._emitEntry(this._segment);
+        this._segment = null;
+    }
+
+    // options.since / options.until: wall-clock bounds (ms); entries overlapping them are kept
+    getEntries(options = {}) {
+        const since = options.since || 0;
+        const until = options.until || Infinity;
+        return this.entries.filter(entry =>
+            entry.startedAt <= until && (entry.endedAt === null || entry.endedAt >= since)
+        );
+    }
+
+    getTracks(options = {}) {
+        return this.getEntries(options).filter(entry => entry.type === 'track');
+    }
+
+    clear() {
+        this.entries = [];
+        this._current = null;
+        this._currentKey = null;
+        this._segment = null;
+    }
+
+    destroy() {
+        this._closeCurrent();
+        for (const unsubscribe of this._unsubscribe) unsubscribe();
+        this._unsubscribe = [];
+    }
+
+    /* ═══════════════════════════════════════════
+       EXPORT
+       All exports take { origin, since, until };
+       origin (ms or Date) is time zero for offsets
+       and defaults to the first exported entry.
+       ═══════════════════════════════════════════ */
+
+    toJSON(options = {}) {
+        const entries = this.getEntries(options);
+        const origin = this._origin(options, entries);
+
+        return {
+            station: this.stationName,
+            exportedAt: new Date().toISOString(),
+            origin: new Date(origin).toISOString(),
+            entries: entries.map(entry => ({
+                ...entry,
+                offset: Math.max(0, (entry.startedAt - origin) / 1000),
+                startedAt: new Date(entry.startedAt).toISOString(),
+                endedAt: entry.endedAt === null ? null : new Date(entry.endedAt).toISOString()
+            }))
+        };
+    }
+
+    toText(options = {}) {
+        const entries = this.getEntries(options);
+        const origin = this._origin(options, entries);
+        const lines = [`${this.stationName} — ${new Date(origin).toLocaleString()}`, ''];
+
+        for (const entry of entries) {
+            const at = BroadcastLog.formatOffset(Math.max(0, (entry.startedAt - origin) / 1000));
+            if (entry.type === 'dj') {
+                lines.push(`${at}    🎙 ${entry.text}`);
+                continue;
+            }
+            const details = [entry.genre, entry.energyPhase, entry.transition].filter(Boolean).join(' · ');
+            lines.push(`${at}  ${entry.artist} — ${entry.title}${details ? `  [${details}]` : ''}`);
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    // options.file: the recording this sheet describes (FILE line)
+    toCue(options = {}) {
+        const tracks = this.getTracks(options);
+        const origin = this._origin(options, tracks);
+        const file = options.file || `${this.filenamePrefix}.webm`;
+        const type = /\.wav$/i.test(file) ? 'WAVE' : 'MP3'; // the usual placeholder for compressed audio
+
+        const lines = [
+            `REM DATE ${new Date(origin).toISOString().slice(0, 10)}`,
+            `REM COMMENT "Recorded from ${BroadcastLog._cueText(this.stationName)}"`,
+            `PERFORMER "${BroadcastLog._cueText(this.stationName)}"`,
+            `TITLE "${BroadcastLog._cueText(options.title || `${this.stationName} mix`)}"`,
+            `FILE "${BroadcastLog._cueText(file)}" ${type}`
+        ];
+
+        let lastIndex = -1;
+        tracks.forEach((track, i) => {
+            // A track already on air when recording began starts the sheet at 00:00:00
+            const seconds = Math.max(0, (track.startedAt - origin) / 1000);
+            const frames = Math.max(Math.round(seconds * 75), lastIndex + 1); // indexes must increase
+            lastIndex = frames;
+
+            lines.push(`  TRACK ${String(i + 1).padStart(2, '0')} AUDIO`);
+            lines.push(`    TITLE "${BroadcastLog._cueText(track.title)}"`);
+            lines.push(`    PERFORMER "${BroadcastLog._cueText(track.artist)}"`);
+            if (track.genre) lines.push(`    REM GENRE "${BroadcastLog._cueText(track.genre)}"`);
+            if (track.energyPhase) lines.push(`    REM PHASE ${track.energyPhase}`);
+            if (track.transition) lines.push(`    REM TRANSITION ${track.transition}`);
+            lines.push(`    INDEX 01 ${BroadcastLog.formatCueTime(frames)}`);
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    // format: 'cue' | 'json' | 'txt'
+    download(format = 'txt', options = {}) {
+        if (typeof document === 'undefined') return false;
+
+        const body = format === 'json' ? JSON.stringify(this.toJSON(options), null, 2)
+            : format === 'cue' ? this.toCue(options)
+                : this.toText(options);
+        const type = format === 'json' ? 'application/json' : 'text/plain';
+        const filename = options.filename || this._filename(format, options);
+
+        const url = URL.createObjectURL(new Blob([body], { type: `${type};charset=utf-8` }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 10000);
+        return true;
+    }
+
+    static formatOffset(seconds) {
+        const s = Math.floor(seconds);
+        const h = Math.floor(s / 3600);
+        const m = Math.floor((s % 3600) / 60);
+        return [h, m, s % 60].map(n => String(n).padStart(2, '0')).join(':');
+    }
+
+    // CUE time is mm:ss:ff at 75 frames per second; minutes run past 59
+    static formatCueTime(frames) {
+        const m = Math.floor(frames / (75 * 60));
+        const s = Math.floor(frames / 75) % 60;
+        const f = frames % 75;
+        return [m, s, f].map(n => String(n).padStart(2, '0')).join(':');
+    }
+
+    /* ═══════════════════════════════════════════
+       ENGINE EVENTS
+       ═══════════════════════════════════════════ */
+
+    _onTrackChange(track) {
+        if (!track) return;
+
+        // trackChange fires at both ends of a crossfade; only a new track opens an entry
+        const key = BroadcastLog._trackKey(track);
+        if (this._current && key === this._currentKey) return;
+
+        this._closeCurrent();
+        if (!this.engine.isPlaying) {
+            // Picked while stopped or paused: it airs on the next play
+            this._currentKey = null;
+            return;
+        }
+        this._open(track, key);
+    }
+
+    _onStateChange({ isPlaying, track }) {
+        if (isPlaying) {
+            if (this._current && this._pausedAt) {
+                this._current.pausedSeconds += (Date.now() - this._pausedAt) / 1000;
+            }
+            this._pausedAt = null;
+            if (!this._current && track) this._open(track, BroadcastLog._trackKey(track));
+            return;
+        }
+
+        if (!track) {
+            // stop(): nothing left on air
+            this._pendingTransition = null;
+            this._closeCurrent();
+            this.endSegment();
+            return;
+        }
+        if (!this._pausedAt) this._pausedAt = Date.now();
+    }
+
+    _open(track, key) {
+        // Queue advances report the new track once the blend completes;
+        // it went on air when the crossfade started
+        const transition = this._pendingTransition;
+        const startedAt = transition ? Math.min(transition.at, Date.now()) : Date.now();
+
+        this._current = {
+            type: 'track',
+            title: track.title || 'Unknown',
+            artist: track.artist || 'Unknown',
+            genre: track.genre || null,
+            genreKey: track.genreKey || null,
+            id: track.id || null,
+            url: track.url || null,
+            isStream: !!track.isStream,
+            energyPhase: track.isStream ? null : (track.phase || this.engine.energyPhase || null),
+            transition: transition ? transition.style : null, // null: first track, or a stream title change
+            startedAt,
+            endedAt: null,
+            airtime: null,
+            pausedSeconds: 0
+        };
+        this._currentKey = key;
+        this._pendingTransition = null;
+        this._pausedAt = null;
+        this._push(this._current);
+    }
+
+    _closeCurrent() {
+        const entry = this._current;
+        if (!entry) return;
+
+        // Closed while paused: the entry ended when the music stopped
+        const endedAt = this._pausedAt || Date.now();
+        entry.endedAt = endedAt;
+        entry.airtime = Math.max(0, (endedAt - entry.startedAt) / 1000 - entry.pausedSeconds);
+
+        this._current = null;
+        this._currentKey = null;
+        this._pausedAt = null;
+        this._emitEntry(entry);
+    }
+
+    /* ═══════════════════════════════════════════
+       HELPERS
+       ═══════════════════════════════════════════ */
+
+    _push(entry) {
+        this.entries.push(entry);
+        if (this.entries.length > this.maxEntries) {
+            this.entries.splice(0, this.entries.length - this.maxEntries);
+        }
+    }
+
+    _emitEntry(entry) {
+        if (typeof this.onEntry !== 'function') return;
+        try { this.onEntry(entry); }
+        catch (e) { console.warn('[BroadcastLog] onEntry failed:', e); }
+    }
+
+    _origin(options, entries) {
+        if (options.origin) return +options.origin;
+        return entries.length > 0 ? entries[0].startedAt : Date.now();
+    }
+
+    _filename(format, options) {
+        const stamp = new Date(this._origin(options, this.getEntries(options)))
+            .toISOString().slice(0, 16).replace(/[:T]/g, '-');
+        return `${this.filenamePrefix}-${stamp}.${format}`;
+    }
+
+    static _trackKey(track) {
+        if (track.isStream) return `stream|${track.streamTitle || track.title}`;
+        return `${track.id || track.url}|${track.title}`;
+    }
+
+    // CUE strings are double-quoted with no escape syntax
+    static _cueText(text) {
+        return String(text || '').replace(/"/g, "'").replace(/[\r\n]+/g, ' ');
+    }
+}
+
+/* ─── EXPORT ─── */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BroadcastLog;
+} else {
+    window.BroadcastLog = BroadcastLog;
+}
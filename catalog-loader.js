@@ -0,0 +1,461 @@
+/* ═══════════════════════════════════════════
+   AMARADIO — Catalog Loader v1.0
+   Genre pools from external playlist files
+
+   • JSON catalogs (many genres, inline or linked)
+   • M3U / EXTM3U, PLS, XSPF playlists
+   • Amaradio tags via extension attributes
+   • Per-entry validation report (never throws)
+
+   Extension attributes:
+   M3U   #EXTINF:272 amaradio-bpm="115" amaradio-energy="0.92"
+               amaradio-key="8A" amaradio-artwork="…",Artist - Title
+   PLS   Bpm1=115  Energy1=0.92  Key1=8A  Artwork1=…
+   XSPF  <meta rel="https://amaradio.app/ns/bpm">115</meta>
+         (also energy / key / artwork; <image> for artwork)
+   Cue points (seconds): amaradio-cue-in, amaradio-mix-out-start,
+         amaradio-cue-out · CueIn1= MixOutStart1= CueOut1=
+   Failover URLs: "alternates": [...] · amaradio-alternates="url url"
+   Station imaging: "imaging": [{ url, type, genre, gainDb }]
+         → report.imaging, for ImagingDeck.addAsset
+   ═══════════════════════════════════════════ */
+
+class CatalogLoader {
+    constructor(radioEngine, options = {}) {
+        this.engine = radioEngine;
+        this.xspfNamespace = options.xspfNamespace || 'https://amaradio.app/ns/';
+        this.timeoutMs = options.timeoutMs || 15000;
+
+        // Tags every format can carry, with their validators
+        this.fields = {
+            bpm: value => this._number(value, 40, 250),
+            energy: value => this._number(value, 0, 1),
+            key: value => (/^(1[0-2]|[1-9])[ABMD]$/i.test(String(value).trim()) ? String(value).trim() : undefined),
+            artwork: value => (value ? String(value) : undefined),
+            gainDb: value => this._number(value, -30, 30),
+            lufs: value => this._number(value, -70, 0),
+            firstBeatOffset: value => this._number(value, 0, 600),
+            cueIn: value => this._number(value, 0, 3600),
+            mixOutStart: value => this._number(value, 0, 3600),
+            cueOut: value => this._number(value, 0, 3600),
+            leadingSilence: value => this._number(value, 0, 600),
+            trailingSilence: value => this._number(value, 0, 600),
+            // Failover URLs, in order: JSON array, or space-separated in playlist tags
+            alternates: value => {
+                const urls = (Array.isArray(value) ? value : String(value).split(/\s+/))
+                    .filter(url => typeof url === 'string' && url.trim())
+                    .map(url => url.trim());
+                return urls.length > 0 ? urls : undefined;
+            }
+        };
+    }
+
+    /* ═══════════════════════════════════════════
+       PUBLIC API
+       ═══════════════════════════════════════════ */
+
+    // JSON catalog: { genres: { key: { name, …, tracks: [...] | playlist: 'url' } },
+    //                 imaging: [{ id, url, type, genre, gainDb }] }
+    async loadCatalog(url) {
+        const report = this._newReport(url);
+
+        let catalog;
+        try {
+            catalog = JSON.parse(await this._fetchText(url));
+        } catch (e) {
+            this._reportError(report, { source: url, message: `Catalog unreadable: ${e.message}` });
+            return report;
+        }
+
+        const genres = catalog && catalog.genres;
+        const imaging = catalog && catalog.imaging;
+        if ((!genres || typeof genres !== 'object') && !Array.isArray(imaging)) {
+            this._reportError(report, { source: url, message: 'Catalog has no "genres" object' });
+            return report;
+        }
+        if (Array.isArray(imaging)) this._collectImaging(report, imaging, url);
+
+        for (const [key, config] of Object.entries(genres || {})) {
+            if (!config || typeof config !== 'object' || Array.isArray(config)) {
+                this._reportError(report, { source: url, genre: key, message: 'Genre entry must be an object; genre not registered' });
+                continue;
+            }
+            if (config.playlist) {
+                const playlistUrl = this._resolve(config.playlist, url);
+                this._mergeReport(report, await this.loadPlaylist(playlistUrl, key, config));
+            } else {
+                const tracks = Array.isArray(config.tracks) ? config.tracks : [];
+                this._registerEntries(report, key, config, this._jsonEntries(tracks, url), url);
+            }
+        }
+
+        return report;
+    }
+
+    // Single playlist file → one genre pool
+    async loadPlaylist(url, genreKey, genreConfig = {}) {
+        const report = this._newReport(url);
+
+        let text, contentType;
+        try {
+            ({ text, contentType } = await this._fetchTextWithType(url));
+        } catch (e) {
+            this._reportError(report, { source: url, genre: genreKey, message: `Playlist unreadable: ${e.message}` });
+            return report;
+        }
+
+        let entries;
+        try {
+            entries = this.parse(text, this._detectFormat(url, contentType, text), url);
+        } catch (e) {
+            this._reportError(report, { source: url, genre: genreKey, message: e.message });
+            return report;
+        }
+
+        this._registerEntries(report, genreKey, genreConfig, entries, url);
+        return report;
+    }
+
+    parse(text, format, baseUrl = '') {
+        switch (format) {
+            case 'm3u': return this.parseM3U(text, baseUrl);
+            case 'pls': return this.parsePLS(text, baseUrl);
+            case 'xspf': return this.parseXSPF(text, baseUrl);
+            case 'json': return this.parseJSON(text, baseUrl);
+            default: throw new Error(`Unknown playlist format "${format}"`);
+        }
+    }
+
+    /* ═══════════════════════════════════════════
+       FORMAT PARSERS
+       Each returns raw entries: { url, title, artist,
+       seconds, …tags, _index, _line }. Validation
+       happens later, in one place.
+       ═══════════════════════════════════════════ */
+
+    parseM3U(text, baseUrl) {
+        const lines = text.split(/\r?\n/);
+        if (lines.some(l => l.startsWith('#EXT-X-TARGETDURATION'))) {
+            throw new Error('HLS media playlist — register it as a genre stream instead');
+        }
+
+        const entries = [];
+        let pending = null;
+
+        lines.forEach((raw, lineIndex) => {
+            const line = raw.trim();
+            if (!line) return;
+
+            if (line.startsWith('#EXTINF:')) {
+                // #EXTINF:<seconds> key="value" …,<display title>
+                const body = line.slice(8);
+                const comma = this._findTitleComma(body);
+                const head = comma >= 0 ? body.slice(0, comma) : body;
+                const display = comma >= 0 ? body.slice(comma + 1).trim() : '';
+
+                pending = { seconds: parseFloat(head), _line: lineIndex + 1, ...this._splitDisplayTitle(display) };
+
+                const attrPattern = /([\w-]+)="([^"]*)"/g;
+                let match;
+                while ((match = attrPattern.exec(head)) !== null) {
+                    const name = match[1].toLowerCase();
+                    if (name.startsWith('amaradio-')) pending[this._camel(name.slice(9))] = match[2];
+                }
+                return;
+            }
+            if (line.startsWith('#')) return; // #EXTM3U and other directives
+
+            entries.push({
+                ...(pending || { _line: lineIndex + 1 }),
+                url: this._resolve(line, baseUrl),
+                _index: entries.length
+            });
+            pending = null;
+        });
+
+        return entries;
+    }
+
+    parsePLS(text, baseUrl) {
+        const slots = {};
+
+        text.split(/\r?\n/).forEach((raw, lineIndex) => {
+            const match = raw.trim().match(/^([A-Za-z]+)(\d+)=(.*)$/);
+            if (!match) return; // [playlist], NumberOfEntries, Version
+
+            const [, name, number, value] = match;
+            const slot = slots[number] || (slots[number] = { _line: lineIndex + 1 });
+            switch (name.toLowerCase()) {
+                case 'file': slot.url = this._resolve(value.trim(), baseUrl); break;
+                case 'title': Object.assign(slot, this._splitDisplayTitle(value.trim())); break;
+                case 'length': slot.seconds = parseFloat(value); break;
+                default: slot[this._camel(name)] = value.trim(); // Bpm1, Energy1, Key1, Artwork1…
+            }
+        });
+
+        return Object.keys(slots)
+            .sort((a, b) => a - b)
+            .map((number, index) => ({ ...slots[number], _index: index }));
+    }
+
+    parseXSPF(text, baseUrl) {
+        if (typeof DOMParser === 'undefined') throw new Error('XSPF needs DOMParser');
+
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) throw new Error('XSPF is not well-formed XML');
+
+        const child = (el, name) => {
+            const node = el.getElementsByTagName(name)[0];
+            return node ? node.textContent.trim() : undefined;
+        };
+
+        return Array.from(doc.getElementsByTagName('track')).map((track, index) => {
+            const location = child(track, 'location');
+            const durationMs = parseFloat(child(track, 'duration'));
+            const entry = {
+                url: location ? this._resolve(location, baseUrl) : undefined,
+                title: child(track, 'title'),
+                artist: child(track, 'creator'),
+                artwork: child(track, 'image'),
+                seconds: isNaN(durationMs) ? undefined : durationMs / 1000,
+                _index: index
+            };
+
+            for (const meta of Array.from(track.getElementsByTagName('meta'))) {
+                const rel = meta.getAttribute('rel') || '';
+                if (rel.startsWith(this.xspfNamespace)) {
+                    entry[this._camel(rel.slice(this.xspfNamespace.length))] = meta.textContent.trim();
+                }
+            }
+            return entry;
+        });
+    }
+
+    parseJSON(text, baseUrl) {
+        const data = JSON.parse(text);
+        const tracks = Array.isArray(data) ? data : data && data.tracks;
+        if (!Array.isArray(tracks)) throw new Error('JSON playlist needs a tracks array');
+
+        return this._jsonEntries(tracks, baseUrl);
+    }
+
+    // Non-object entries stay in, flagged, so validation reports them by index
+    _jsonEntries(tracks, baseUrl) {
+        return tracks.map((t, index) => (t && typeof t === 'object' && !Array.isArray(t)
+            ? { ...t, url: t.url && this._resolve(t.url, baseUrl), _index: index }
+            : { _index: index, _notObject: true }));
+    }
+
+    /* ═══════════════════════════════════════════
+       VALIDATION & REGISTRATION
+       Bad entries are skipped; bad optional tags
+       are dropped (so the analyzer can fill them)
+       — both land in the report, never in a throw.
+       ═══════════════════════════════════════════ */
+
+    _registerEntries(report, genreKey, genreConfig, entries, source) {
+        const tracks = [];
+
+        for (const entry of entries) {
+            const track = this._validateEntry(entry, report, genreKey, source);
+            if (track) tracks.push(track);
+        }
+
+        if (tracks.length === 0) {
+            this._reportError(report, { source, genre: genreKey, message: 'No playable entries; genre not registered' });
+            return;
+        }
+
+        const { playlist, tracks: _inline, ...config } = genreConfig;
+        try {
+            this.engine.registerGenre(genreKey, { ...config, tracks });
+            report.genres.push({ key: genreKey, trackCount: tracks.length, skipped: entries.length - tracks.length });
+            report.registered += tracks.length;
+        } catch (e) {
+            this._reportError(report, { source, genre: genreKey, message: `Registration failed: ${e.message}` });
+        }
+    }
+
+    _validateEntry(entry, report, genreKey, source) {
+        const where = { source, genre: genreKey, index: entry._index, line: entry._line };
+
+        if (entry._notObject) {
+            this._reportError(report, { ...where, message: 'Track entry must be an object' });
+            return null;
+        }
+
+        if (!entry.url || !/^(https?:|blob:|data:|\/|\.)/i.test(entry.url)) {
+            this._reportError(report, { ...where, field: 'url', message: `Missing or unsupported url "${entry.url || ''}"` });
+            return null;
+        }
+
+        const track = {
+            title: entry.title || this._titleFromUrl(entry.url),
+            artist: entry.artist || 'Unknown Artist',
+            url: entry.url,
+            duration: entry.duration || this._formatDuration(entry.seconds)
+        };
+
+        for (const [field, validate] of Object.entries(this.fields)) {
+            if (entry[field] === undefined || entry[field] === '') continue;
+
+            const value = validate(entry[field]);
+            if (value === undefined) {
+                this._reportWarning(report, { ...where, field, message: `Ignored invalid ${field} "${entry[field]}"` });
+            } else {
+                track[field] = value;
+            }
+        }
+
+        // Carry through any other JSON fields untouched (cue points, ids…)
+        for (const [field, value] of Object.entries(entry)) {
+            if (field in track || field in this.fields || field.startsWith('_') || field === 'seconds') continue;
+            track[field] = value;
+        }
+
+        return track;
+    }
+
+    /* ═══════════════════════════════════════════
+       HELPERS
+       ═══════════════════════════════════════════ */
+
+    _detectFormat(url, contentType, text) {
+        const ext = (url.split('?')[0].match(/\.(\w+)$/) || [])[1];
+        const byExt = { m3u: 'm3u', m3u8: 'm3u', pls: 'pls', xspf: 'xspf', json: 'json' };
+        if (ext && byExt[ext.toLowerCase()]) return byExt[ext.toLowerCase()];
+
+        const type = (contentType || '').toLowerCase();
+        if (type.includes('mpegurl')) return 'm3u';
+        if (type.includes('scpls')) return 'pls';
+        if (type.includes('xspf')) return 'xspf';
+        if (type.includes('json')) return 'json';
+
+        // Sniff the content as a last resort
+        const head = text.trimStart().slice(0, 64).toLowerCase();
+        if (head.startsWith('[playlist]')) return 'pls';
+        if (head.startsWith('<?xml') || head.startsWith('<playlist')) return 'xspf';
+        if (head.startsWith('{') || head.startsWith('[')) return 'json';
+        return 'm3u'; // plain list of urls is valid M3U
+    }
+
+    async _fetchText(url) {
+        return (await this._fetchTextWithType(url)).text;
+    }
+
+    async _fetchTextWithType(url) {
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timer = controller ? setTimeout(() => controller.abort(), this.timeoutMs) : null;
+
+        try {
+            const response = await fetch(url, controller ? { signal: controller.signal } : undefined);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return { text: await response.text(), contentType: response.headers.get('content-type') };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    _resolve(location, baseUrl) {
+        try {
+            return baseUrl ? new URL(location, new URL(baseUrl, window.location.href)).href : location;
+        } catch (e) {
+            return location;
+        }
+    }
+
+    _findTitleComma(body) {
+        // First comma outside quoted attribute values
+        let quoted = false;
+        for (let i = 0; i < body.length; i++) {
+            if (body[i] === '"') quoted = !quoted;
+            else if (body[i] === ',' && !quoted) return i;
+        }
+        return -1;
+    }
+
+    _splitDisplayTitle(display) {
+        if (!display) return {};
+        const dash = display.indexOf(' - ');
+        if (dash < 0) return { title: display };
+        return { artist: display.slice(0, dash).trim(), title: display.slice(dash + 3).trim() };
+    }
+
+    _titleFromUrl(url) {
+        const file = decodeURIComponent(url.split('?')[0].split('/').pop() || '');
+        return file.replace(/\.\w+$/, '') || 'Untitled';
+    }
+
+    _formatDuration(seconds) {
+        if (typeof seconds !== 'number' || isNaN(seconds) || seconds <= 0) return '∞';
+        const m = Math.floor(seconds / 60);
+        const s = Math.round(seconds % 60);
+        return `${m}:${s.toString().padStart(2, '0')}`;
+    }
+
+    _number(value, min, max) {
+        const n = typeof value === 'number' ? value : parseFloat(value);
+        return isNaN(n) || n < min || n > max ? undefined : n;
+    }
+
+    _camel(name) {
+        const lower = name.toLowerCase();
+        const known = {
+            gaindb: 'gainDb', firstbeatoffset: 'firstBeatOffset',
+            cuein: 'cueIn', mixoutstart: 'mixOutStart', cueout: 'cueOut',
+            leadingsilence: 'leadingSilence', trailingsilence: 'trailingSilence'
+        };
+        return known[lower] || lower.replace(/-(\w)/g, (_, c) => c.toUpperCase());
+    }
+
+    // Jingles aren't genre pools: validated and handed back for the imaging deck
+    _collectImaging(report, entries, source) {
+        entries.forEach((entry, index) => {
+            const where = { source, imaging: index };
+            if (!entry || typeof entry.url !== 'string' || !entry.url.trim()) {
+                this._reportError(report, { ...where, field: 'url', message: 'Imaging entry has no url' });
+                return;
+            }
+            if (entry.type !== undefined && !['ident', 'stinger', 'sweeper'].includes(entry.type)) {
+                this._reportWarning(report, { ...where, field: 'type', message: `Unknown imaging type "${entry.type}"; using stinger` });
+            }
+            const asset = { ...entry, url: this._resolve(entry.url, source) };
+            if (entry.gainDb !== undefined) {
+                asset.gainDb = this.fields.gainDb(entry.gainDb);
+                if (asset.gainDb === undefined) {
+                    this._reportWarning(report, { ...where, field: 'gainDb', message: `Ignored gainDb "${entry.gainDb}"` });
+                    delete asset.gainDb;
+                }
+            }
+            report.imaging.push(asset);
+        });
+    }
+
+    _newReport(source) {
+        return { source, genres: [], registered: 0, imaging: [], errors: [], warnings: [] };
+    }
+
+    _reportError(report, error) {
+        console.warn('[CatalogLoader]', error.message, error);
+        report.errors.push(error);
+    }
+
+    _reportWarning(report, warning) {
+        report.warnings.push(warning);
+    }
+
+    _mergeReport(into, from) {
+        into.genres.push(...from.genres);
+        into.registered += from.registered;
+        into.imaging.push(...from.imaging);
+        into.errors.push(...from.errors);
+        into.warnings.push(...from.warnings);
+    }
+}
+
+/* ─── EXPORT ─── */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CatalogLoader;
+} else {
+    window.CatalogLoader = CatalogLoader;
+}
@@ -5,7 +5,7 @@
    • Energy-aware scripting (numeric 0.0–1.0)
    • Genre-matched persona moods
    • Try/catch error isolation on all TTS
-   • Sponsor slot integration
+   • Sponsor reads from the campaign manager
    • Zero dead-air pre-buffering
    ═══════════════════════════════════════════ */
 
@@ -26,24 +26,11 @@ class ScriptGenerator {
         this.persona = persona;
         this.lastIntroIndex = -1;
 
-        // Monetizable sponsor slots
-        this.sponsors = [
-            'Neon Dust Clothing',
-            'Hyper-Coffee',
-            'Quantum Socks',
-            'Midnight Pixel Studios',
-            'Deep Frequency Audio',
-            'Ghost Protocol VPN'
-        ];
+        // Monetizable sponsor slots: a SponsorManager (flights, caps, weights).
+        // Talk-ups go unsponsored without one, or when every campaign is capped.
+        this.sponsors = null;
 
-        // Station ID drops
-        this.stationIDs = [
-            `You're locked into ${this.persona.name}. Underground AI radio.`,
-            `This is ${this.persona.name}. The signal never stops.`,
-            `${this.persona.name}. Where the algorithm meets the groove.`,
-            `AI curated. Human approved. This is ${this.persona.name}.`,
-            `Stay connected. ${this.persona.name} keeps the frequency alive.`
-        ];
+        this._buildPersonaLines();
 
         // ─── Genre-matched persona energy ───
         // High-energy intros for Amapiano
@@ -82,9 +69,35 @@ class ScriptGenerator {
         };
     }
 
+    // Scheduled shows bring their own host
+    setPersona(persona) {
+        this.persona = persona;
+        this._buildPersonaLines();
+    }
+
+    // Lines that speak the host's name
+    _buildPersonaLines() {
+        // Station ID drops
+        this.stationIDs = [
+            `You're locked into ${this.persona.name}. Underground AI radio.`,
+            `This is ${this.persona.name}. The signal never stops.`,
+            `${this.persona.name}. Where the algorithm meets the groove.`,
+            `AI curated. Human approved. This is ${this.persona.name}.`,
+            `Stay connected. ${this.persona.name} keeps the frequency alive.`
+        ];
+
+        // Sleep timer sign-offs
+        this.signOffs = [
+            `That's the last one for tonight. ${this.persona.name} signing off. Sleep easy.`,
+            `The signal fades here. This has been ${this.persona.name}. Rest well.`,
+            `Time to let it go quiet. ${this.persona.name} will be here when you wake up.`,
+            `Lights down, volume down. ${this.persona.name}, signing off.`
+        ];
+    }
+
     /* ─── ENERGY-AWARE TRANSITION (from Python blueprint) ─── */
     generateTransition(nextTrack, energyPhase) {
-        const sponsor = this.sponsors[Math.floor(Math.random() * this.sponsors.length)];
+        const read = this.sponsors ? this.sponsors.pickRead('talkUp') : null;
         const energy = typeof nextTrack.energy === 'number' ? nextTrack.energy : 0.5;
 
         // Energy-aware intro (direct from Python logic)
@@ -110,7 +123,7 @@ class ScriptGenerator {
             intro = genreIntros[idx];
         }
 
-        return `${intro} Coming up next: ${nextTrack.title}. Powered by ${sponsor}.`;
+        return `${intro} Coming up next: ${nextTrack.title}.${read ? ` ${read}` : ''}`;
     }
 
     _getGenreIntros(genreKey) {
@@ -126,6 +139,10 @@ class ScriptGenerator {
         return this.stationIDs[Math.floor(Math.random() * this.stationIDs.length)];
     }
 
+    generateSignOff() {
+        return this.signOffs[Math.floor(Math.random() * this.signOffs.length)];
+    }
+
     generateTimeGreeting() {
         const hour = new Date().getHours();
         if (hour >= 5 && hour < 12) return this.timeGreetings.morning;
@@ -222,6 +239,10 @@ class AudioInjector {
         this.duckDuration = 0.5;
         this.unduckDuration = 0.8;
         this._originalVolume = 1;
+
+        // ─── Callbacks ───
+        this.onSpeakStart = null; // (text) as the voice starts
+        this.onSpeakEnd = null;   // (text) when it finishes or fails
     }
 
     queueText(text) {
@@ -249,10 +270,13 @@ class AudioInjector {
 
         try {
             voiceSynth.speak(text, persona,
-                () => { /* onStart */ },
+                () => {
+                    if (typeof this.onSpeakStart === 'function') this.onSpeakStart(text);
+                },
                 () => {
                     this._unduckMusic();
                     this.isSpeaking = false;
+                    if (typeof this.onSpeakEnd === 'function') this.onSpeakEnd(text);
                     if (onComplete) onComplete();
                 }
             );
@@ -260,6 +284,7 @@ class AudioInjector {
             console.warn('[AudioInjector] Playback failed:', e);
             this._unduckMusic();
             this.isSpeaking = false;
+            if (typeof this.onSpeakEnd === 'function') this.onSpeakEnd(text);
             if (onComplete) onComplete();
         }
     }
@@ -314,20 +339,33 @@ class AudioInjector {
 
 /* ─── STREAM CONTROLLER (orchestrator) ─── */
 class StreamController {
-    constructor(scriptGen, voiceSynth, injector) {
+    constructor(scriptGen, voiceSynth, injector, options = {}) {
         this.scriptGen = scriptGen;
         this.voiceSynth = voiceSynth;
         this.injector = injector;
+        this.session = options.session || null;
         this.enabled = true;
         this.hasSpokenIntro = false;
         this.transitionsCount = 0;
         this.stationIDInterval = 4;
+        this.talkFrequency = 1;     // share of talk-up chances taken (0–1)
+        this._talkCredit = 0;
         this.isPrepared = false;
+        this.preparedFor = null;
+        this.isSigningOff = false;  // sleep timer: no talk-ups until endSignOff()
+        this._signOffRetry = null;
     }
 
     // Called at 80% track duration — pre-buffers the DJ voice
     prepareTransition(nextTrack, energyPhase) {
-        if (!this.enabled || this.isPrepared) return;
+        if (!this.enabled || this.isSigningOff) return;
+
+        // Queue was edited after the pre-buffer: swap the stale intro out
+        if (this.isPrepared) {
+            if (this.preparedFor === nextTrack.url + nextTrack.title || this.injector.isSpeaking) return;
+            this.injector.clearQueue();
+            this.isPrepared = false;
+        }
 
         try {
             let script = this.scriptGen.generateTransition(nextTrack, energyPhase);
@@ -339,6 +377,7 @@ class StreamController {
 
             this.injector.queueText(script);
             this.isPrepared = true;
+            this.preparedFor = nextTrack.url + nextTrack.title;
         } catch (e) {
             console.warn('[StreamController] Transition prep failed:', e);
             // Stream continues — zero impact on playback
@@ -347,7 +386,16 @@ class StreamController {
 
     // Called during crossfade — plays the pre-buffered voice
     executeTransition() {
-        if (!this.enabled) return;
+        if (!this.enabled || this.isSigningOff) return;
+
+        // Talk frequency: an even spread, not random clumps (0.5 = every other chance)
+        this._talkCredit += this.talkFrequency;
+        if (this._talkCredit < 1) {
+            this.injector.clearQueue();
+            this.isPrepared = false;
+            return;
+        }
+        this._talkCredit -= 1;
 
         try {
             this.injector.playNext(
@@ -356,6 +404,7 @@ class StreamController {
                 () => {
                     this.transitionsCount++;
                     this.isPrepared = false;
+                    this._persistSession();
                 }
             );
         } catch (e) {
@@ -377,21 +426,111 @@ class StreamController {
             this.injector.playNext(
                 this.scriptGen.persona,
                 this.voiceSynth,
-                () => { this.hasSpokenIntro = true; }
+                () => {
+                    this.hasSpokenIntro = true;
+                    this._persistSession();
+                }
             );
         } catch (e) {
             console.warn('[StreamController] Intro failed:', e);
         }
     }
 
+    // Sleep timer: last words before the fade. onComplete always runs,
+    // straight away when the DJ is muted
+    speakSignOff(onComplete) {
+        clearTimeout(this._signOffRetry);
+        this._signOffRetry = null;
+        this.isSigningOff = true;
+        if (!this.enabled) {
+            if (onComplete) onComplete();
+            return;
+        }
+
+        // Let a talk-up already on air finish first
+        if (this.injector.isSpeaking) {
+            this._signOffRetry = setTimeout(() => {
+                this._signOffRetry = null;
+                if (this.isSigningOff) this.speakSignOff(onComplete); // not if endSignOff() came first
+            }, 500);
+            return;
+        }
+
+        try {
+            this.injector.clearQueue();
+            this.isPrepared = false;
+            this.injector.queueText(this.scriptGen.generateSignOff());
+            this.injector.playNext(this.scriptGen.persona, this.voiceSynth, onComplete);
+        } catch (e) {
+            console.warn('[StreamController] Sign-off failed:', e);
+            if (onComplete) onComplete();
+        }
+    }
+
+    endSignOff() {
+        clearTimeout(this._signOffRetry);
+        this._signOffRetry = null;
+        this.isSigningOff = false;
+    }
+
+    // Sponsor read in an ad break. Goes ahead of any prepared talk-up, which
+    // stays queued for the way back into the music. onComplete always runs.
+    speakRead(text, onComplete) {
+        if (!this.enabled || this.isSigningOff || this.injector.isSpeaking) {
+            if (onComplete) onComplete();
+            return;
+        }
+
+        try {
+            this.injector.queue.unshift(text);
+            this.injector.playNext(this.scriptGen.persona, this.voiceSynth, onComplete);
+        } catch (e) {
+            console.warn('[StreamController] Sponsor read failed:', e);
+            if (onComplete) onComplete();
+        }
+    }
+
+    // Scheduled show: new host voice and how chatty they are
+    setPersona(persona, talkFrequency = this.talkFrequency) {
+        this.scriptGen.setPersona(persona);
+        this.talkFrequency = Math.max(0, Math.min(1, talkFrequency));
+    }
+
     toggle() {
         this.enabled = !this.enabled;
         if (!this.enabled) {
             this.voiceSynth.cancel();
             this.injector.clearQueue();
         }
+        this._persistSession();
         return this.enabled;
     }
+
+    // ─── Session persistence (DJ toggle + station ID cadence) ───
+    serializeState() {
+        return {
+            enabled: this.enabled,
+            hasSpokenIntro: this.hasSpokenIntro,
+            transitionsCount: this.transitionsCount
+        };
+    }
+
+    restoreSession() {
+        if (!this.session) return false;
+
+        const snapshot = this.session.load('dj');
+        if (!snapshot) return false;
+
+        this.enabled = snapshot.enabled !== false;
+        this.hasSpokenIntro = !!snapshot.hasSpokenIntro;
+        this.transitionsCount = snapshot.transitionsCount || 0;
+        return true;
+    }
+
+    _persistSession() {
+        if (!this.session) return;
+        this.session.save('dj', this.serializeState());
+    }
 }
 
 /* ─── EXPORT ─── */
@@ -0,0 +1,212 @@
+/* ═══════════════════════════════════════════
+   AMARADIO — ICY Metadata Reader v1.0
+   Now-playing for Shoutcast / Icecast streams
+
+   • In-band StreamTitle parsing (icy-metaint)
+   • UTF-8 with Latin-1 fallback
+   • Change-only callbacks, auto-reconnect
+
+   The <audio> element can't see ICY metadata,
+   so a second, metadata-only request runs next
+   to it. The server must allow the Icy-MetaData
+   request header and expose icy-metaint via CORS
+   (tools/icy-stream-stub.js does both).
+   ═══════════════════════════════════════════ */
+
+/* ─── PARSER (pure: bytes in, metadata out) ─── */
+class IcyParser {
+    constructor(metaInt) {
+        this.metaInt = metaInt;
+        this.bytesUntilMeta = metaInt;
+        this.metaLength = -1;      // -1 = waiting for the length byte
+        this.metaBuffer = null;
+        this.metaFilled = 0;
+    }
+
+    // Feed a chunk of the raw stream; returns metadata blocks completed in it
+    push(chunk) {
+        const blocks = [];
+        let i = 0;
+
+        while (i < chunk.length) {
+            if (this.bytesUntilMeta > 0) {
+                // Audio bytes — skip over them
+                const skip = Math.min(this.bytesUntilMeta, chunk.length - i);
+                this.bytesUntilMeta -= skip;
+                i += skip;
+            } else if (this.metaLength < 0) {
+                // Length byte: block size in 16-byte units (0 = no change)
+                this.metaLength = chunk[i] * 16;
+                i++;
+                if (this.metaLength === 0) {
+                    this._resetBlock();
+                } else {
+                    this.metaBuffer = new Uint8Array(this.metaLength);
+                    this.metaFilled = 0;
+                }
+            } else {
+                const take = Math.min(this.metaLength - this.metaFilled, chunk.length - i);
+                this.metaBuffer.set(chunk.subarray(i, i + take), this.metaFilled);
+                this.metaFilled += take;
+                i += take;
+
+                if (this.metaFilled === this.metaLength) {
+                    blocks.push(IcyParser.parseBlock(this.metaBuffer));
+                    this._resetBlock();
+                }
+            }
+        }
+        return blocks;
+    }
+
+    _resetBlock() {
+        this.bytesUntilMeta = this.metaInt;
+        this.metaLength = -1;
+        this.metaBuffer = null;
+        this.metaFilled = 0;
+    }
+
+    static parseBlock(bytes) {
+        // Block is NUL-padded: StreamTitle='Artist - Title';StreamUrl='…';
+        let end = bytes.length;
+        while (end > 0 && bytes[end - 1] === 0) end--;
+        const text = IcyParser.decode(bytes.subarray(0, end));
+
+        const fields = {};
+        const pattern = /(\w+)='(.*?)';/g;
+        let match;
+        while ((match = pattern.exec(text)) !== null) fields[match[1]] = match[2];
+        return fields;
+    }
+
+    static decode(bytes) {
+        try {
+            return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+        } catch (e) {
+            return new TextDecoder('iso-8859-1').decode(bytes); // older Shoutcast servers
+        }
+    }
+
+    static splitStreamTitle(streamTitle) {
+        const dash = streamTitle.indexOf(' - ');
+        if (dash < 0) return { artist: '', title: streamTitle.trim() };
+        return { artist: streamTitle.slice(0, dash).trim(), title: streamTitle.slice(dash + 3).trim() };
+    }
+}
+
+/* ─── READER (network side) ─── */
+class IcyMetadataReader {
+    constructor(options = {}) {
+        this.reconnectDelay = options.reconnectDelay || 5000;
+        this.maxReconnects = options.maxReconnects !== undefined ? options.maxReconnects : 5;
+        // Optional override, e.g. a local stub while the audio plays from elsewhere
+        this.metadataUrl = options.metadataUrl || null;
+
+        this.url = null;
+        this.isActive = false;
+        this.lastStreamTitle = null;
+        this._controller = null;
+        this._reconnectTimer = null;
+        this._reconnects = 0;
+
+        // ─── Callbacks ───
+        this.onMetadata = null;  // ({ artist, title, streamTitle, streamUrl }) on change only
+        this.onError = null;     // ({ type, message })
+    }
+
+    start(url) {
+        const target = this.metadataUrl || url;
+        if (this.isActive && this.url === target) return;
+
+        this.stop();
+        this.url = target;
+        this.isActive = true;
+        this.lastStreamTitle = null;
+        this._reconnects = 0;
+        this._connect();
+    }
+
+    stop() {
+        this.isActive = false;
+        clearTimeout(this._reconnectTimer);
+        if (this._controller) this._controller.abort();
+        this._controller = null;
+    }
+
+    async _connect() {
+        const controller = new AbortController();
+        this._controller = controller;
+
+        try {
+            const response = await fetch(this.url, {
+                headers: { 'Icy-MetaData': '1' },
+                signal: controller.signal,
+                cache: 'no-store'
+            });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+            const metaInt = parseInt(response.headers.get('icy-metaint') || '0', 10);
+            if (!metaInt || !response.body) {
+                // No in-band metadata (or the header isn't CORS-exposed) — nothing to retry
+                controller.abort();
+                this._emitError('unsupported', 'Stream sends no icy-metaint header (or CORS hides it)');
+                this.isActive = false;
+                return;
+            }
+
+            this._reconnects = 0;
+            const parser = new IcyParser(metaInt);
+            const reader = response.body.getReader();
+
+            while (this.isActive && this._controller === controller) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                for (const block of parser.push(value)) this._handleBlock(block);
+            }
+        } catch (e) {
+            if (e.name === 'AbortError') return;
+            this._emitError('network', e.message);
+        }
+
+        this._scheduleReconnect(controller);
+    }
+
+    _scheduleReconnect(controller) {
+        // Only the current connection may reconnect, and only while still wanted
+        if (!this.isActive || this._controller !== controller) return;
+        if (this._reconnects >= this.maxReconnects) {
+            this._emitError('gaveUp', `Metadata connection lost after ${this._reconnects} retries`);
+            this.isActive = false;
+            return;
+        }
+        this._reconnects++;
+        this._reconnectTimer = setTimeout(() => this._connect(), this.reconnectDelay);
+    }
+
+    _handleBlock(block) {
+        const streamTitle = block.StreamTitle;
+        if (streamTitle === undefined || streamTitle === this.lastStreamTitle) return;
+        this.lastStreamTitle = streamTitle;
+
+        if (typeof this.onMetadata === 'function') {
+            this.onMetadata({
+                ...IcyParser.splitStreamTitle(streamTitle),
+                streamTitle,
+                streamUrl: block.StreamUrl || null
+            });
+        }
+    }
+
+    _emitError(type, message) {
+        console.warn(`[IcyMetadataReader] ${message}`);
+        if (typeof this.onError === 'function') this.onError({ type, message });
+    }
+}
+
+/* ─── EXPORT ─── */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { IcyParser, IcyMetadataReader };
+} else {
+    window.IcyParser = IcyParser;
+    window.IcyMetadataReader = IcyMetadataReader;
+}
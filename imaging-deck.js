@@ -0,0 +1,331 @@
+/* ═══════════════════════════════════════════
+   AMARADIO — Imaging Deck v1.0
+   Produced station imaging on a third player
+
+   • Idents, stingers and sweepers from audio
+   • Rotation rules: top of the hour, genre
+     change, every N tracks (with a minimum gap)
+   • Placement: over the tail of a crossfade, or
+     between tracks with the blend ducked under
+   • Ducks the music bus, AudioInjector-style;
+     the jingle itself rides the master
+
+   Jingles never land on a DJ talk-up: if the
+   host is speaking, the rule waits for the
+   next transition.
+   ═══════════════════════════════════════════ */
+
+class ImagingDeck {
+    constructor(radioEngine, options = {}) {
+        this.engine = radioEngine;
+        this.injector = options.injector || null; // AudioInjector: no jingles over the DJ
+
+        // ─── Configuration ───
+        this.rules = {
+            topOfHour: true,        // ident on the first transition of each hour…
+            topOfHourWindow: 15,    // …within this many minutes of :00
+            onGenreChange: true,    // sweeper when the blend moves to another genre
+            everyTracks: 4,         // stinger every N tracks (0 = off)
+            minGap: 90,             // seconds between jingles (top of the hour ignores it)
+            ...(options.rules || {})
+        };
+        this.placement = options.placement || 'crossfadeTail'; // 'crossfadeTail' | 'betweenTracks'
+        this.tailPosition = 0.5;   // share of the crossfade before a tail jingle starts
+        this.volume = options.volume !== undefined ? options.volume : 1;
+        this.duckLevel = 0.4;      // music under a tail jingle
+        this.gapDuckLevel = 0.12;  // music under a between-tracks jingle
+        this.duckDuration = 0.3;
+        this.unduckDuration = 1.2;
+
+        // ─── State ───
+        this.assets = [];
+        this.isPlaying = false;
+        this.current = null;          // { asset, reason, placement } on air
+        this.tracksSinceImaging = 0;
+        this.lastImagingAt = 0;
+        this._lastIdentHour = null;
+        this._lastPlayed = new Map(); // asset id → ms, for least-recently-used rotation
+        this._lastAssetId = null;
+        this._loadedId = null;
+        this._startTimer = null;
+        this._elementsDucked = false; // deck-volume ducking without Web Audio
+
+        this.audio = new Audio();
+        this.audio.crossOrigin = 'anonymous';
+        this.audio.preload = 'auto';
+        this.audio.addEventListener('ended', () => this._onEnded());
+        this.audio.addEventListener('error', () => {
+            if (this.current) this._emitError('playback', `Jingle "${this.current.asset.id}" failed to load`);
+            this._loadedId = null; // try the file afresh next time
+            this._onEnded();
+        });
+        this.source = null;
+        this.gain = null;
+
+        // ─── Callbacks ───
+        this.onPlay = null;  // ({ asset, reason, placement })
+        this.onEnd = null;   // ({ asset })
+        this.onError = null; // ({ type, message })
+
+        for (const asset of options.assets || []) this.addAsset(asset);
+
+        this._unsubscribe = [
+            radioEngine.on('transition', (data) => this._onTransition(data)),
+            radioEngine.on('stateChange', ({ isPlaying }) => { if (!isPlaying) this.stop(); }),
+            // toggleMute() only reaches the music decks
+            radioEngine.on('timeUpdate', () => { this.audio.muted = radioEngine.isMuted; })
+        ];
+    }
+
+    /* ═══════════════════════════════════════════
+       ASSETS
+       { id, url, type, genre, gainDb }
+       type: 'ident' (top of the hour) |
+             'stinger' (every N tracks) |
+             'sweeper' (genre change)
+       genre: a genre key, or omit for any genre
+       ═══════════════════════════════════════════ */
+
+    addAsset(asset) {
+        if (!asset || typeof asset.url !== 'string' || !asset.url) {
+            this._emitError('asset', 'Imaging assets need a url');
+            return false;
+        }
+        const type = ImagingDeck.TYPES.includes(asset.type) ? asset.type : 'stinger';
+        const normalized = { ...asset, id: asset.id || asset.url, type, gainDb: asset.gainDb || 0 };
+        this.assets = this.assets.filter(a => a.id !== normalized.id);
+        this.assets.push(normalized);
+        return true;
+    }
+
+    removeAsset(id) {
+        const before = this.assets.length;
+        this.assets = this.assets.filter(a => a.id !== id);
+        return this.assets.length < before;
+    }
+
+    setRules(rules = {}) {
+        this.rules = { ...this.rules, ...rules };
+        return this.rules;
+    }
+
+    /* ═══════════════════════════════════════════
+       PLAYBACK
+       ═══════════════════════════════════════════ */
+
+    // Fire one now, by asset id or type; the rules' counters reset as if it were scheduled
+    playNow(idOrType = 'ident') {
+        const asset = this.assets.find(a => a.id === idOrType)
+            || this._pickAsset(ImagingDeck.TYPES.includes(idOrType) ? [idOrType] : ImagingDeck.TYPES, null);
+        if (!asset) return false;
+        this._play(asset, 'manual', this.placement);
+        return true;
+    }
+
+    stop() {
+        clearTimeout(this._startTimer);
+        this._startTimer = null;
+        if (!this.isPlaying) return;
+        this.audio.pause();
+        this._onEnded();
+    }
+
+    destroy() {
+        this.stop();
+        for (const unsubscribe of this._unsubscribe) unsubscribe();
+        this._unsubscribe = [];
+    }
+
+    _onTransition({ duration, from, to }) {
+        if (!to || to.isStream || this.assets.length === 0) return;
+        this.tracksSinceImaging++;
+
+        const reason = this._dueReason(from, to);
+        if (!reason || this.isPlaying || this._startTimer) return;
+        // The host has this transition; the rule stays due for the next one
+        if (this.injector && this.injector.isSpeaking) return;
+
+        const asset = this._pickAsset(ImagingDeck.REASON_TYPES[reason], to);
+        if (!asset) return;
+
+        // Load now so the file is buffered by the time it's needed
+        this._load(asset);
+        const delay = this.placement === 'crossfadeTail' ? duration * this.tailPosition : 0;
+        this._startTimer = setTimeout(() => {
+            this._startTimer = null;
+            this._play(asset, reason, this.placement);
+        }, delay * 1000);
+    }
+
+    _dueReason(from, to) {
+        const now = new Date();
+        const hour = `${now.toDateString()} ${now.getHours()}`;
+        const rules = this.rules;
+
+        if (rules.topOfHour && this._lastIdentHour !== hour && now.getMinutes() < rules.topOfHourWindow
+            && this.assets.some(a => a.type === 'ident')) {
+            return 'topOfHour';
+        }
+        if (Date.now() - this.lastImagingAt < rules.minGap * 1000) return null;
+        if (rules.onGenreChange && from && from.genreKey && to.genreKey && from.genreKey !== to.genreKey) {
+            return 'genreChange';
+        }
+        if (rules.everyTracks > 0 && this.tracksSinceImaging >= rules.everyTracks) return 'everyTracks';
+        return null;
+    }
+
+    // Preferred types in order; genre-matched assets first, then generic ones,
+    // least recently played, never the same one twice running when there's a choice
+    _pickAsset(types, track) {
+        const genre = track ? track.genreKey : null;
+        for (const type of types) {
+            let candidates = this.assets.filter(a => a.type === type && (!a.genre || a.genre === genre));
+            if (candidates.length === 0) continue;
+
+            const matched = candidates.filter(a => a.genre && a.genre === genre);
+            if (matched.length > 0) candidates = matched;
+            if (candidates.length > 1) {
+                candidates = candidates.filter(a => a.id !== this._lastAssetId);
+            }
+            return candidates.sort((a, b) => (this._lastPlayed.get(a.id) || 0) - (this._lastPlayed.get(b.id) || 0))[0];
+        }
+        return null;
+    }
+
+    _load(asset) {
+        if (this._loadedId === asset.id) return;
+        this.audio.src = asset.url;
+        this._loadedId = asset.id;
+        this.audio.load();
+    }
+
+    _play(asset, reason, placement) {
+        if (this.isPlaying) this.stop();
+        this._load(asset);
+        this._connect();
+
+        // Web Audio: the jingle joins the master. Without it, the element plays at station volume.
+        const level = this.volume * Math.pow(10, asset.gainDb / 20);
+        if (this.gain) this.gain.gain.value = level;
+        else this.audio.volume = Math.min(1, level * this.engine.currentVolume);
+        this.audio.muted = this.engine.isMuted;
+        this.audio.currentTime = 0;
+
+        this.isPlaying = true;
+        this.current = { asset, reason, placement };
+        this._duckMusic(placement === 'betweenTracks' ? this.gapDuckLevel : this.duckLevel);
+
+        this.audio.play().then(() => {
+            this.lastImagingAt = Date.now();
+            this.tracksSinceImaging = 0;
+            this._lastPlayed.set(asset.id, Date.now());
+            this._lastAssetId = asset.id;
+            if (reason === 'topOfHour') {
+                const now = new Date();
+                this._lastIdentHour = `${now.toDateString()} ${now.getHours()}`;
+            }
+            if (typeof this.onPlay === 'function') this.onPlay({ asset, reason, placement });
+        }).catch(e => {
+            if (e.name === 'AbortError') return; // stopped before it started
+            this._emitError('playback', `Jingle "${asset.id}" failed: ${e.message}`);
+            this._onEnded();
+        });
+    }
+
+    _onEnded() {
+        if (!this.isPlaying) return;
+        const asset = this.current ? this.current.asset : null;
+        this.isPlaying = false;
+        this.current = null;
+        this._unduckMusic();
+        if (asset && typeof this.onEnd === 'function') this.onEnd({ asset });
+    }
+
+    _connect() {
+        const engine = this.engine;
+        if (this.source || !engine.audioContext || !engine.masterGain) return;
+
+        try {
+            this.source = engine.audioContext.createMediaElementSource(this.audio);
+            this.gain = engine.audioContext.createGain();
+            this.source.connect(this.gain);
+            this.gain.connect(engine.masterGain); // past the music bus, so ducking leaves it alone
+        } catch (e) {
+            console.warn('[ImagingDeck] Failed to connect to the audio graph:', e);
+            this.source = null;
+            this.gain = null;
+        }
+    }
+
+    /* ═══════════════════════════════════════════
+       DUCKING (music bus; the deck elements'
+       volume without Web Audio)
+       ═══════════════════════════════════════════ */
+
+    _duckMusic(level) {
+        const engine = this.engine;
+
+        try {
+            if (engine.musicBus && engine.audioContext) {
+                const gain = engine.musicBus.gain;
+                const now = engine.audioContext.currentTime;
+                gain.cancelScheduledValues(now);
+                gain.setValueAtTime(gain.value, now);
+                gain.linearRampToValueAtTime(level, now + this.duckDuration);
+            } else {
+                // On the deck elements themselves: setVolume() would save the ducked level as the station's
+                for (const key of ['A', 'B']) {
+                    const audio = engine.players[key].audio;
+                    audio.volume = Math.min(audio.volume, engine.currentVolume * level);
+                }
+                this._elementsDucked = true;
+            }
+        } catch (e) {
+            console.warn('[ImagingDeck] Duck failed:', e);
+        }
+    }
+
+    _unduckMusic() {
+        const engine = this.engine;
+
+        try {
+            if (engine.musicBus && engine.audioContext) {
+                const gain = engine.musicBus.gain;
+                const now = engine.audioContext.currentTime;
+                gain.cancelScheduledValues(now);
+                gain.setValueAtTime(gain.value, now);
+                gain.linearRampToValueAtTime(1, now + this.unduckDuration);
+            } else if (this._elementsDucked) {
+                this._elementsDucked = false;
+                // A crossfade resets both decks every frame, and a break keeps its deck down
+                if (!engine.isCrossfading && !engine.isInBreak) {
+                    engine.players[engine.activePlayer].audio.volume = engine.currentVolume;
+                }
+            }
+        } catch (e) {
+            console.warn('[ImagingDeck] Unduck failed:', e);
+        }
+    }
+
+    _emitError(type, message) {
+        console.warn(`[ImagingDeck] ${message}`);
+        if (typeof this.onError === 'function') this.onError({ type, message });
+    }
+}
+
+ImagingDeck.TYPES = ['ident', 'stinger', 'sweeper'];
+
+// Which kinds of imaging each rule reaches for, in order of preference
+ImagingDeck.REASON_TYPES = {
+    topOfHour: ['ident'],
+    genreChange: ['sweeper', 'stinger'],
+    everyTracks: ['stinger', 'sweeper'],
+    manual: ImagingDeck.TYPES
+};
+
+/* ─── EXPORT ─── */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImagingDeck;
+} else {
+    window.ImagingDeck = ImagingDeck;
+}
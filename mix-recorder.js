@@ -0,0 +1,277 @@
+/* ═══════════════════════════════════════════
+   AMARADIO — Mix Recorder v1.0
+   Archive the station output as a mixtape
+
+   • Taps the post-master signal (what listeners hear)
+   • Start / pause / resume / stop
+   • Timesliced chunks: stream to a file sink, or
+     roll over into numbered parts past a size cap
+   • One-click download of each finished file
+
+   The DJ voice comes from speechSynthesis, which
+   never enters Web Audio: recordings carry the
+   music ducking under it, not the voice itself.
+   ═══════════════════════════════════════════ */
+
+class MixRecorder {
+    constructor(radioEngine, options = {}) {
+        this.engine = radioEngine;
+
+        // ─── Configuration ───
+        this.mimeType = options.mimeType || MixRecorder.pickMimeType();
+        this.audioBitsPerSecond = options.audioBitsPerSecond || 192000;
+        this.timeslice = options.timeslice || 10000;                  // ms per chunk
+        this.maxPartBytes = options.maxPartBytes || 256 * 1024 * 1024; // in-memory parts roll over here
+        this.filenamePrefix = options.filenamePrefix || 'amaradio-mix';
+
+        // ─── State ───
+        this.state = 'inactive'; // 'inactive' | 'recording' | 'paused'
+        this.mediaRecorder = null;
+        this.destination = null;
+        this.chunks = [];
+        this.partBytes = 0;
+        this.partIndex = 0;
+        this.totalBytes = 0;
+        this.sessionStamp = null;
+        this.lastPart = null;      // { blob, filename } of the most recent finished file
+        this._writable = null;     // FileSystemWritableFileStream when streaming to disk
+        this._writeChain = Promise.resolve();
+        this._elapsedMs = 0;
+        this._resumedAt = null;
+        this._rolling = false;
+
+        // ─── Callbacks ───
+        this.onStateChange = null; // ({ state, elapsed })
+        this.onPart = null;        // ({ blob, filename, index }) each finished in-memory file
+        this.onError = null;       // ({ type, message })
+    }
+
+    static isSupported() {
+        return typeof MediaRecorder !== 'undefined'
+            && typeof AudioContext !== 'undefined'
+            && typeof AudioContext.prototype.createMediaStreamDestination === 'function';
+    }
+
+    static pickMimeType() {
+        if (typeof MediaRecorder === 'undefined') return '';
+        const candidates = ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/mp4', 'audio/webm'];
+        return candidates.find(type => MediaRecorder.isTypeSupported(type)) || '';
+    }
+
+    /* ═══════════════════════════════════════════
+       PUBLIC API
+       ═══════════════════════════════════════════ */
+
+    // options.writable: a FileSystemWritableFileStream (e.g. from showSaveFilePicker)
+    // to stream chunks straight to disk instead of holding them in memory
+    start(options = {}) {
+        if (this.state !== 'inactive') return false;
+        if (!MixRecorder.isSupported()) {
+            this._emitError('unsupported', 'Recording needs MediaRecorder and Web Audio');
+            return false;
+        }
+        if (!this.engine._initAudioContext() || !this.engine.masterGain) {
+            this._emitError('audioContext', 'Station audio graph unavailable');
+            return false;
+        }
+
+        // Tap after master gain, alongside the speakers
+        this.destination = this.engine.audioContext.createMediaStreamDestination();
+        this.engine.masterGain.connect(this.destination);
+
+        this._writable = options.writable || null;
+        this._writeChain = Promise.resolve();
+        this.sessionStamp = new Date();
+        this.partIndex = 0;
+        this.totalBytes = 0;
+        this._elapsedMs = 0;
+        this._resumedAt = Date.now();
+
+        if (!this._startRecorder()) {
+            this._disconnect();
+            return false;
+        }
+        this._setState('recording');
+        return true;
+    }
+
+    pause() {
+        if (this.state !== 'recording') return false;
+        this.mediaRecorder.pause();
+        this._elapsedMs += Date.now() - this._resumedAt;
+        this._resumedAt = null;
+        this._setState('paused');
+        return true;
+    }
+
+    resume() {
+        if (this.state !== 'paused') return false;
+        this.mediaRecorder.resume();
+        this._resumedAt = Date.now();
+        this._setState('recording');
+        return true;
+    }
+
+    // Resolves with the final in-memory part ({ blob, filename }), or null when streamed to disk
+    async stop() {
+        if (this.state === 'inactive') return null;
+        if (this._resumedAt) this._elapsedMs += Date.now() - this._resumedAt;
+        this._resumedAt = null;
+
+        const part = await this._stopRecorder();
+        this._disconnect();
+
+        if (this._writable) {
+            try {
+                await this._writeChain;
+                await this._writable.close();
+            } catch (e) {
+                this._emitError('write', `Closing the recording file failed: ${e.message}`);
+            }
+            this._writable = null;
+        }
+
+        this._setState('inactive');
+        return part;
+    }
+
+    download(part = this.lastPart) {
+        if (!part || typeof document === 'undefined') return false;
+
+        const url = URL.createObjectURL(part.blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = part.filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // Give the download a moment to pick the blob up before releasing it
+        setTimeout(() => URL.revokeObjectURL(url), 10000);
+        return true;
+    }
+
+    get elapsed() {
+        const running = this._resumedAt ? Date.now() - this._resumedAt : 0;
+        return (this._elapsedMs + running) / 1000;
+    }
+
+    /* ═══════════════════════════════════════════
+       RECORDER / CHUNKS
+       ═══════════════════════════════════════════ */
+
+    _startRecorder() {
+        try {
+            this.mediaRecorder = new MediaRecorder(this.destination.stream, {
+                ...(this.mimeType ? { mimeType: this.mimeType } : {}),
+                audioBitsPerSecond: this.audioBitsPerSecond
+            });
+        } catch (e) {
+            this._emitError('recorder', e.message);
+            return false;
+        }
+
+        this.chunks = [];
+        this.partBytes = 0;
+        this.mediaRecorder.ondataavailable = (e) => this._onChunk(e.data);
+        this.mediaRecorder.onerror = (e) => this._emitError('recorder', e.error ? e.error.message : 'MediaRecorder error');
+        this.mediaRecorder.start(this.timeslice);
+        return true;
+    }
+
+    _onChunk(chunk) {
+        if (!chunk || chunk.size === 0) return;
+        this.totalBytes += chunk.size;
+
+        // Disk sink: write in order, keep nothing
+        if (this._writable) {
+            this._writeChain = this._writeChain
+                .then(() => this._writable.write(chunk))
+                .catch(e => this._emitError('write', `Writing the recording failed: ${e.message}`));
+            return;
+        }
+
+        this.chunks.push(chunk);
+        this.partBytes += chunk.size;
+
+        // Only the first chunk carries the container header, so a part can't be cut
+        // mid-stream: finish this recorder and start a fresh one on the same tap
+        if (this.partBytes >= this.maxPartBytes && this.state === 'recording' && !this._rolling) {
+            this._rollPart();
+        }
+    }
+
+    async _rollPart() {
+        this._rolling = true;
+        await this._stopRecorder();
+        if (this.state !== 'inactive' && this._startRecorder() && this.state === 'paused') {
+            this.mediaRecorder.pause(); // paused while the part was rolling over
+        }
+        this._rolling = false;
+    }
+
+    _stopRecorder() {
+        const recorder = this.mediaRecorder;
+        if (!recorder || recorder.state === 'inactive') return Promise.resolve(this._sealPart());
+
+        return new Promise(resolve => {
+            // The final dataavailable fires before stop
+            recorder.addEventListener('stop', () => resolve(this._sealPart()), { once: true });
+            recorder.stop();
+        });
+    }
+
+    _sealPart() {
+        if (this._writable || this.chunks.length === 0) return null;
+
+        const type = (this.mediaRecorder && this.mediaRecorder.mimeType) || this.mimeType || 'audio/webm';
+        const part = {
+            blob: new Blob(this.chunks, { type }),
+            filename: this._filename(type, this.partIndex),
+            index: this.partIndex
+        };
+        this.chunks = [];
+        this.partBytes = 0;
+        this.partIndex++;
+        this.lastPart = part;
+
+        if (typeof this.onPart === 'function') this.onPart(part);
+        return part;
+    }
+
+    _disconnect() {
+        if (this.destination) {
+            try { this.engine.masterGain.disconnect(this.destination); }
+            catch (e) { /* already disconnected */ }
+        }
+        this.destination = null;
+        this.mediaRecorder = null;
+    }
+
+    /* ═══════════════════════════════════════════
+       HELPERS
+       ═══════════════════════════════════════════ */
+
+    _filename(type, index) {
+        const ext = type.includes('ogg') ? 'ogg' : type.includes('mp4') ? 'm4a' : 'webm';
+        const stamp = this.sessionStamp.toISOString().slice(0, 16).replace(/[:T]/g, '-');
+        const part = index > 0 || this.partBytes >= this.maxPartBytes ? `-part${index + 1}` : '';
+        return `${this.filenamePrefix}-${stamp}${part}.${ext}`;
+    }
+
+    _setState(state) {
+        this.state = state;
+        if (typeof this.onStateChange === 'function') this.onStateChange({ state, elapsed: this.elapsed });
+    }
+
+    _emitError(type, message) {
+        console.warn(`[MixRecorder] ${message}`);
+        if (typeof this.onError === 'function') this.onError({ type, message });
+    }
+}
+
+/* ─── EXPORT ─── */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MixRecorder;
+} else {
+    window.MixRecorder = MixRecorder;
+}
@@ -0,0 +1,174 @@
+/* ═══════════════════════════════════════════
+   AMARADIO — Play History v1.0
+   Per-track listening stats, kept across visits
+
+   • Plays, completions, skips, favorites
+   • Most played / most skipped / favorites queries
+   • Persists through any save/load store
+     (SessionStore with no age-out by default)
+
+   A skip is a next() before the mix-out point;
+   a completion is a track that reached it. The
+   engine reports both (see RadioEngine.history).
+   ═══════════════════════════════════════════ */
+
+class PlayHistory {
+    constructor(options = {}) {
+        // ─── Configuration ───
+        // Listening history outlives the 24h session resume window
+        this.store = options.store !== undefined ? options.store
+            : (typeof SessionStore !== 'undefined'
+                ? new SessionStore({ namespace: 'amaradio:history:', maxAge: Infinity })
+                : null);
+        this.maxTracks = options.maxTracks || 5000; // least recently heard drop off past this
+
+        // ─── State ───
+        this.tracks = new Map(); // track id → stats record
+
+        // ─── Callbacks ───
+        this.onChange = null;    // ({ action, record }) — action: play | complete | skip | favorite
+
+        this._load();
+    }
+
+    /* ═══════════════════════════════════════════
+       RECORDING
+       ═══════════════════════════════════════════ */
+
+    recordPlay(track) {
+        return this._update(track, 'play', record => {
+            record.plays++;
+            record.lastPlayedAt = Date.now();
+        });
+    }
+
+    recordCompletion(track) {
+        return this._update(track, 'complete', record => { record.completions++; });
+    }
+
+    recordSkip(track) {
+        return this._update(track, 'skip', record => {
+            record.skips++;
+            record.lastSkippedAt = Date.now();
+        });
+    }
+
+    setFavorite(track, favorite = true) {
+        return this._update(track, 'favorite', record => { record.favorite = !!favorite; });
+    }
+
+    toggleFavorite(track) {
+        const favorite = !this.isFavorite(track);
+        this.setFavorite(track, favorite);
+        return favorite;
+    }
+
+    clear() {
+        this.tracks.clear();
+        this._save();
+    }
+
+    /* ═══════════════════════════════════════════
+       QUERIES
+       ═══════════════════════════════════════════ */
+
+    getStats(track) {
+        if (!track) return null;
+        return this.tracks.get(PlayHistory.trackId(track)) || null;
+    }
+
+    isFavorite(track) {
+        const record = this.getStats(track);
+        return !!(record && record.favorite);
+    }
+
+    // Share of plays that ended in a skip; null until the track has minPlays plays
+    skipRate(track, minPlays = 1) {
+        const record = this.getStats(track);
+        if (!record || record.plays < minPlays) return null;
+        return Math.min(1, record.skips / record.plays);
+    }
+
+    getMostPlayed(limit = 10) {
+        return this._ranked(record => record.plays > 0, (a, b) => b.plays - a.plays, limit);
+    }
+
+    // Ranked by skip rate; minPlays keeps one early skip from topping the chart
+    getMostSkipped(limit = 10, minPlays = 3) {
+        const rate = record => record.skips / record.plays;
+        return this._ranked(
+            record => record.skips > 0 && record.plays >= minPlays,
+            (a, b) => rate(b) - rate(a) || b.skips - a.skips,
+            limit
+        );
+    }
+
+    getFavorites() {
+        return this._ranked(record => record.favorite, (a, b) => (b.lastPlayedAt || 0) - (a.lastPlayedAt || 0));
+    }
+
+    // Same identity as RadioEngine._trackId: catalog id, else artist + title
+    static trackId(track) {
+        return track.id || `${(track.artist || '').toLowerCase()}::${(track.title || '').toLowerCase()}`;
+    }
+
+    /* ═══════════════════════════════════════════
+       STORAGE
+       ═══════════════════════════════════════════ */
+
+    _update(track, action, mutate) {
+        if (!track || track.isStream) return null;
+
+        const id = PlayHistory.trackId(track);
+        let record = this.tracks.get(id);
+        if (!record) {
+            record = {
+                id, title: track.title || '', artist: track.artist || '', genreKey: track.genreKey || null,
+                plays: 0, completions: 0, skips: 0, favorite: false,
+                lastPlayedAt: null, lastSkippedAt: null
+            };
+            this.tracks.set(id, record);
+        }
+        mutate(record);
+
+        this._prune();
+        this._save();
+        if (typeof this.onChange === 'function') this.onChange({ action, record });
+        return record;
+    }
+
+    _ranked(filter, compare, limit = Infinity) {
+        return [...this.tracks.values()].filter(filter).sort(compare).slice(0, limit).map(record => ({ ...record }));
+    }
+
+    _prune() {
+        if (this.tracks.size <= this.maxTracks) return;
+        // Favorites are never pruned; the rest go oldest-heard first
+        const evictable = [...this.tracks.values()]
+            .filter(record => !record.favorite)
+            .sort((a, b) => (a.lastPlayedAt || 0) - (b.lastPlayedAt || 0));
+        for (const record of evictable.slice(0, this.tracks.size - this.maxTracks)) {
+            this.tracks.delete(record.id);
+        }
+    }
+
+    _load() {
+        if (!this.store) return;
+        const data = this.store.load('tracks');
+        if (!Array.isArray(data)) return;
+        for (const record of data) {
+            if (record && record.id) this.tracks.set(record.id, record);
+        }
+    }
+
+    _save() {
+        if (this.store) this.store.save('tracks', [...this.tracks.values()]);
+    }
+}
+
+/* ─── EXPORT ─── */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PlayHistory;
+} else {
+    window.PlayHistory = PlayHistory;
+}
@@ -0,0 +1,271 @@
+/* ═══════════════════════════════════════════
+   AMARADIO — Program Scheduler v1.0
+   The station clock: shows by day and time
+
+   • Shows set a genre filter or blend, an arc
+     profile, a DJ persona and a talk frequency
+   • Overnight shows (22:00 → 06:00) supported
+   • A default show fills unscheduled hours
+   • Now / up-next queries for the schedule panel
+
+   Music changes land on the next track boundary
+   (RadioEngine.setProgram). A listener's own
+   channel pick stands until the next show starts.
+   ═══════════════════════════════════════════ */
+
+class ProgramScheduler {
+    constructor(radioEngine, options = {}) {
+        this.engine = radioEngine;
+        this.dj = options.dj || null;            // StreamController
+        this.personas = options.personas || {};  // key → Persona, for shows that name one
+
+        // ─── Configuration ───
+        this.checkInterval = options.checkInterval || 30000; // ms between clock checks
+        this.defaultShow = options.defaultShow ? this._normalizeShow(options.defaultShow) : null;
+
+        // ─── State ───
+        this.shows = [];
+        this.currentShow = null;
+        this._timer = null;
+        // Shows without a host of their own hand back to the station's
+        this._housePersona = this.dj ? this.dj.scriptGen.persona : null;
+        this._houseTalkFrequency = this.dj ? this.dj.talkFrequency : 1;
+
+        // ─── Callbacks ───
+        this.onShowChange = null; // ({ show, previous, startsAt, endsAt })
+        this.onError = null;      // ({ type, message })
+
+        for (const show of options.shows || []) this.addShow(show);
+    }
+
+    /* ═══════════════════════════════════════════
+       SHOWS
+       A show is { id, name, start: 'HH:MM',
+       end: 'HH:MM', days, filter, arcProfile,
+       persona, talkFrequency, label, description,
+       priority }. days: 0–6 or 'sun'…'sat'
+       (omit for every day), counted from the day
+       the show starts. Overlaps go to the higher
+       priority, then the later start.
+       ═══════════════════════════════════════════ */
+
+    addShow(show) {
+        try {
+            const normalized = this._normalizeShow(show);
+            this.shows = this.shows.filter(s => s.id !== normalized.id);
+            this.shows.push(normalized);
+            return true;
+        } catch (e) {
+            this._emitError('show', `Show "${show && (show.name || show.id)}" rejected: ${e.message}`);
+            return false;
+        }
+    }
+
+    removeShow(id) {
+        const before = this.shows.length;
+        this.shows = this.shows.filter(s => s.id !== id);
+        return this.shows.length < before;
+    }
+
+    // The show on air at a moment, with its slot: { show, startsAt, endsAt } or null
+    getSlotAt(date = new Date()) {
+        const slot = this._scheduledSlotAt(date);
+        if (slot || !this.defaultShow) return slot;
+
+        // The default show fills the gap until the next scheduled start
+        const next = this.getUpcoming(1, date)[0];
+        return { show: this.defaultShow, startsAt: null, endsAt: next ? next.startsAt : null };
+    }
+
+    getShowAt(date = new Date()) {
+        const slot = this.getSlotAt(date);
+        return slot ? slot.show : null;
+    }
+
+    // What comes on air after `from`, soonest first, up to a week out:
+    // [{ show, startsAt, endsAt }]. A show resuming after an override counts.
+    getUpcoming(count = 3, from = new Date()) {
+        const time = from.getTime();
+
+        // Anything can change only where some show starts or ends
+        const points = new Set();
+        for (const show of this.shows) {
+            for (let dayOffset = -1; dayOffset <= 7; dayOffset++) {
+                const slot = this._occurrence(show, from, dayOffset);
+                if (!slot) continue;
+                for (const point of [slot.startsAt.getTime(), slot.endsAt.getTime()]) {
+                    if (point > time) points.add(point);
+                }
+            }
+        }
+
+        const changes = [];
+        const onAir = this._scheduledSlotAt(from);
+        let current = onAir ? onAir.show : this.defaultShow;
+        for (const point of [...points].sort((a, b) => a - b)) {
+            const slot = this._scheduledSlotAt(new Date(point));
+            const show = slot ? slot.show : this.defaultShow;
+            if (show === current) continue;
+            current = show;
+            changes.push({ show, startsAt: new Date(point), slot });
+            if (changes.length > count) break; // one extra to close the last one
+        }
+
+        // Nothing on air between changes when there's no default show
+        return changes.slice(0, count).map(({ show, startsAt, slot }, i) => {
+            const next = changes[i + 1] ? changes[i + 1].startsAt : null;
+            const endsAt = slot && (!next || slot.endsAt < next) ? slot.endsAt : next;
+            return { show, startsAt, endsAt };
+        }).filter(change => change.show);
+    }
+
+    /* ═══════════════════════════════════════════
+       CLOCK
+       ═══════════════════════════════════════════ */
+
+    // apply: false keeps the music on now (e.g. a restored session) until the next show
+    start({ apply = true } = {}) {
+        this.stop();
+        const slot = this.getSlotAt();
+        this.currentShow = slot ? slot.show : null;
+        if (slot) this._apply(slot.show, { music: apply });
+        if (slot) this._emitShowChange(slot, null);
+
+        this._timer = setInterval(() => this._check(), this.checkInterval);
+    }
+
+    stop() {
+        clearInterval(this._timer);
+        this._timer = null;
+    }
+
+    _check() {
+        const slot = this.getSlotAt();
+        const show = slot ? slot.show : null;
+        if (show === this.currentShow) return;
+
+        const previous = this.currentShow;
+        this.currentShow = show;
+        if (show) this._apply(show);
+        this._emitShowChange(slot, previous);
+    }
+
+    _apply(show, { music = true } = {}) {
+        const program = {};
+        if (show.filter !== undefined) program.filter = show.filter;
+        if (show.arcProfile !== undefined) program.arcProfile = show.arcProfile;
+        if (music && Object.keys(program).length > 0) {
+            this.engine.setProgram(program).catch(e => this._emitError('apply', e.message));
+        }
+
+        if (this.dj) {
+            const persona = typeof show.persona === 'string' ? this.personas[show.persona] : show.persona;
+            if (typeof show.persona === 'string' && !persona) {
+                this._emitError('persona', `Unknown persona "${show.persona}" for "${show.name}"`);
+            }
+            this.dj.setPersona(
+                persona || this._housePersona,
+                show.talkFrequency !== undefined ? show.talkFrequency : this._houseTalkFrequency
+            );
+        }
+    }
+
+    /* ═══════════════════════════════════════════
+       HELPERS
+       ═══════════════════════════════════════════ */
+
+    _normalizeShow(show) {
+        if (!show || !show.name) throw new Error('Shows need a name');
+        const start = ProgramScheduler.parseTime(show.start || '00:00');
+        const end = ProgramScheduler.parseTime(show.end || '00:00');
+        if (start === null || end === null) throw new Error('Times must be HH:MM');
+
+        let days = null; // every day
+        if (show.days !== undefined) {
+            days = new Set([].concat(show.days).map(ProgramScheduler.parseDay));
+            if (days.has(null) || days.size === 0) throw new Error('Days must be 0–6 or sun…sat');
+        }
+
+        return {
+            ...show,
+            id: show.id || show.name.toLowerCase().replace(/[^a-z0-9]+/g, '-'),
+            startMinutes: start,
+            // Equal start and end = a 24h show
+            durationMinutes: ((end - start + 1440) % 1440) || 1440,
+            daySet: days,
+            priority: show.priority || 0
+        };
+    }
+
+    // The show's occurrence starting on the day `dayOffset` days from `date`, or null
+    _occurrence(show, date, dayOffset) {
+        const day = new Date(date.getFullYear(), date.getMonth(), date.getDate() + dayOffset);
+        if (show.daySet && !show.daySet.has(day.getDay())) return null;
+
+        const startsAt = new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, show.startMinutes);
+        const endsAt = new Date(startsAt.getTime() + show.durationMinutes * 60000);
+        return { show, startsAt, endsAt };
+    }
+
+    // Scheduled shows only; overlaps resolved by rank
+    _scheduledSlotAt(date) {
+        const time = date.getTime();
+        let best = null;
+
+        for (const show of this.shows) {
+            // Today's occurrence, or yesterday's still running past midnight
+            for (const dayOffset of [0, -1]) {
+                const slot = this._occurrence(show, date, dayOffset);
+                if (!slot || time < slot.startsAt.getTime() || time >= slot.endsAt.getTime()) continue;
+                if (!best || this._outranks(slot, best)) best = slot;
+            }
+        }
+        return best;
+    }
+
+    _outranks(a, b) {
+        if (a.show.priority !== b.show.priority) return a.show.priority > b.show.priority;
+        return a.startsAt > b.startsAt;
+    }
+
+    _emitShowChange(slot, previous) {
+        if (typeof this.onShowChange !== 'function') return;
+        this.onShowChange({
+            show: slot ? slot.show : null,
+            previous,
+            startsAt: slot ? slot.startsAt : null,
+            endsAt: slot ? slot.endsAt : null
+        });
+    }
+
+    _emitError(type, message) {
+        console.warn(`[ProgramScheduler] ${message}`);
+        if (typeof this.onError === 'function') this.onError({ type, message });
+    }
+
+    static parseTime(value) {
+        const match = /^(\d{1,2}):(\d{2})$/.exec(String(value).trim());
+        if (!match) return null;
+        const hours = parseInt(match[1], 10);
+        const minutes = parseInt(match[2], 10);
+        if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) return null;
+        return hours * 60 + minutes;
+    }
+
+    static parseDay(value) {
+        if (typeof value === 'number') return Number.isInteger(value) && value >= 0 && value <= 6 ? value : null;
+        const index = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'].indexOf(String(value).slice(0, 3).toLowerCase());
+        return index >= 0 ? index : null;
+    }
+
+    static formatTime(date) {
+        return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+    }
+}
+
+/* ─── EXPORT ─── */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProgramScheduler;
+} else {
+    window.ProgramScheduler = ProgramScheduler;
+}
@@ -5,37 +5,129 @@
    Features:
    • Dual-player groove-preserving crossfade
    • Energy arc rotation (build → peak → release)
+   • Selectable arc profiles (phase lists or energy curves)
    • BPM-aware transitions (110–125 BPM range)
+   • Beatmatched crossfades (tempo nudge + downbeat lock)
+   • Harmonic mixing (Camelot / Open Key compatibility)
    • Bass-focused audio normalization
+   • Per-track loudness normalization (ReplayGain / LUFS)
+   • Auto-tagging of untagged tracks (TrackAnalyzer)
    • Genre-blended queue with natural flow
+   • Broadcast rotation rules (artist / title separation)
    • Preloading & seamless transitions
+   • Live queue editing (play next, insert, move, jump)
+   • Session resume across page reloads
+   • Live stream mode with ICY now-playing
+   • Weighted multi-genre blends
+   • Named transition styles (fades, echo-out, hard cut, bass swap)
+   • Per-track cue points (cueIn, mixOutStart, cueOut)
+   • Crossfade-safe seek
+   • Multi-subscriber events (on / off / once)
+   • Resilient playback: retry, quarantine, alternates, fallback
+   • Dead-air / stall watchdog with escalation
+   • Silence trimming at track boundaries
+   • Transition events for the broadcast log
+   • Listening history (plays, skips, favorites) weighting rotation
+   • Wind-down arc profile for the sleep timer
+   • Boundary-aligned programme changes for the daypart scheduler
+   • Music bus for imaging (jingles duck the decks, not themselves)
+   • Ad breaks held at natural track boundaries (sponsor manager)
    ═══════════════════════════════════════════ */
 
 class RadioEngine {
     constructor(options = {}) {
+        // ─── Event Callbacks (single handler each; use on() for more — see EVENTS) ───
+        // First: rejected styles / profiles below already report through _fireEvent
+        this.onTrackChange = null;
+        this.onStateChange = null;
+        this.onChannelChange = null;
+        this.onTimeUpdate = null;
+        this.onError = null;
+        this.onEnergyPhaseChange = null;
+        this.onPreBuffer = null;  // fired at 80% of the playable span
+        this.onTrackAnalyzed = null;
+        this.onQueueChange = null;
+        this.onSessionRestore = null;
+        this.onDegraded = null;
+        this.onRecovered = null;
+        this.onDeadAir = null;
+        this.onTransition = null;
+        this.onBreakStart = null;
+        this.onBreakEnd = null;
+        this._listeners = new Map(); // event name → Set of listeners
+
         // ─── Configuration ───
         this.crossfadeDuration = options.crossfadeDuration || 4; // longer for groove continuity
         this.preloadAhead = options.preloadAhead || 10;
         this.defaultVolume = options.defaultVolume || 1;
         this.bpmRange = options.bpmRange || { min: 110, max: 125 };
+        this.harmonicMixing = options.harmonicMixing !== false; // prefer key-compatible neighbours
+        this.analyzer = options.analyzer || null;          // TrackAnalyzer for untagged tracks
+        this.autoAnalyze = options.autoAnalyze !== false;  // analyze on registerGenre
+        this.silenceTrim = {
+            enabled: true,
+            threshold: 0.001,   // RMS (-60 dBFS) for on-the-fly detection
+            holdTime: 1,        // seconds of silence before mixing out early
+            window: 20,         // only listen for it in a track's last N seconds
+            ...(options.silenceTrim || {})
+        };
 
         // ─── Audio Context & Nodes ───
         this.audioContext = null;
         this.analyser = null;
         this.compressor = null;
         this.masterGain = null;
+        this.musicBus = null;
         this.bassBoost = null; // low-shelf filter for deep bass emphasis
+        this.echo = null;      // shared delay line for echo-out transitions
 
         // ─── Dual Player System (A/B for crossfade) ───
         this.players = {
-            A: { audio: null, source: null, gain: null, connected: false },
-            B: { audio: null, source: null, gain: null, connected: false }
+            A: { audio: null, url: null, source: null, trim: null, gain: null, lowCut: null, echoSend: null, trimDb: 0, connected: false },
+            B: { audio: null, url: null, source: null, trim: null, gain: null, lowCut: null, echoSend: null, trimDb: 0, connected: false }
         };
         this.activePlayer = 'A';
         this.isCrossfading = false;
         this.crossfadeTimer = null;
         this.crossfadeRAF = null;
 
+        // ─── Ad Breaks (held between tracks — see AD BREAKS) ───
+        this.breakHandler = options.breakHandler || null; // { isDue, play, abort }, e.g. SponsorManager
+        this.isInBreak = false;
+        this._break = null;        // { from, to, key } while a break has the air
+        this._breakRAF = null;
+
+        // ─── Beatmatch (tempo-align incoming deck during crossfade) ───
+        this.beatmatch = {
+            enabled: false,
+            maxTempoShift: 0.08,   // never nudge more than ±8% (avoids chipmunk keys)
+            releaseDuration: 8,    // seconds to ease back to native speed after the blend
+            alignDownbeat: false,  // start incoming on a downbeat (needs firstBeatOffset)
+            ...(options.beatmatch || {})
+        };
+        this.tempoRAF = null;
+
+        // ─── Transition Styles (how one deck hands over to the next) ───
+        this.transitionStyles = {};
+        for (const [name, style] of Object.entries({ ...this._defaultTransitionStyles(), ...(options.transitionStyles || {}) })) {
+            this.addTransitionStyle(name, style);
+        }
+        this.transitions = {
+            station: this.transitionStyles[options.transitionStyle] ? options.transitionStyle : 'equalPower',
+            genres: {},  // incoming genre key → style
+            pairs: []    // { from, to, style } — track id, genre key or '*'
+        };
+        this._restoreBassGain = null;
+
+        // ─── Loudness Normalization (per-track trim toward station target) ───
+        this.loudness = {
+            enabled: true,
+            target: -14,               // station loudness target (LUFS)
+            replayGainReference: -18,  // gainDb metadata is relative to this (ReplayGain 2.0)
+            maxBoostDb: 9,             // cap boosts so quiet masters don't lift the noise floor
+            ...(options.loudness || {})
+        };
+
         // ─── Frequency Analysis Data ───
         this.frequencyData = null;
         this.timeDomainData = null;
@@ -47,7 +139,7 @@ class RadioEngine {
 
         // ─── Genre Pool System (replaces isolated channels) ───
         this.genrePools = {};
-        this.activeFilter = 'all'; // 'all', or a genre key for filtering
+        this.activeFilter = 'all'; // 'all', a genre key, or a weighted blend { key: weight }
         this.currentGenreKey = null;
 
         // ─── Unified Track Queue ───
@@ -58,33 +150,103 @@ class RadioEngine {
         this.isTrackMode = false;
 
         // ─── Energy Arc System ───
-        this.energyPhase = 'build';  // 'build' | 'peak' | 'release' | 'cooldown'
+        this.energyPhase = 'build';  // key of the active phase in the arc profile
+        this.phaseIndex = 0;
         this.tracksInPhase = 0;
-        this.phaseConfig = {
-            build: { tracks: 3, nextPhase: 'peak' },
-            peak: { tracks: 2, nextPhase: 'release' },
-            release: { tracks: 2, nextPhase: 'cooldown' },
-            cooldown: { tracks: 1, nextPhase: 'build' }
+        this.arcStartsNext = false;  // the track on air belongs to the previous arc; count from the next one
+        this.arcTolerance = 0.12;    // curve slots accept tracks within ±this of the target
+        this.arcProfiles = {};
+        const builtInProfiles = this._defaultArcProfiles();
+        for (const [name, profile] of Object.entries({ ...builtInProfiles, ...(options.arcProfiles || {}) })) {
+            // A rejected override keeps the built-in profile
+            if (!this.addArcProfile(name, profile) && builtInProfiles[name]) {
+                this.addArcProfile(name, builtInProfiles[name]);
+            }
+        }
+        this.arcProfile = this.arcProfiles[options.arcProfile] ? options.arcProfile : 'classic';
+        this.energyPhase = this._getArcPhases()[0].key;
+
+        // ─── Rotation Rules (anti-repetition) ───
+        this.rotation = {
+            titleSeparation: 8,    // no-repeat window for the same track (in tracks)
+            artistSeparation: 3,   // tracks between two plays of the same artist
+            historySize: 50,       // played tracks remembered across queue rebuilds
+            // Highest priority first; when a pool is too small, rules relax from the end
+            priority: ['titleSeparation', 'artistSeparation', 'history'],
+            ...(options.rotation || {})
         };
+        this.recentlyPlayed = [];  // { id, title, artist, playedAt } — survives rebuilds
+        this._lastPlayedEntry = null;
+
+        // ─── Listening History (plays, skips, favorites → rotation weights) ───
+        this.history = options.history || null;  // PlayHistory
+        this.historyWeighting = {
+            enabled: false,
+            skipPenalty: 0.8,    // weight lost at a 100% skip rate
+            favoriteBoost: 2,    // weight multiplier for favorites
+            minPlays: 3,         // plays before a skip rate counts
+            floor: 0.1,          // lowest weight: skipped tracks still surface now and then
+            ...(options.historyWeighting || {})
+        };
+        this._historyEntry = null;    // queue entry whose play was counted
+        this._historyOutcome = null;  // entry whose skip / completion was counted
 
         // ─── 80% Pre-Buffer Flag ───
         this._preBufferFired = false;
+        this._silentSince = null;  // track time trailing silence began (on-the-fly trim)
 
-        // ─── Stream fallback ───
+        // ─── Stream fallback / live mode ───
         this.fallbackStream = null;
+        this.liveStreamUrl = null;  // set by playLive(); null = fallbackStream
+        this.liveTrack = null;      // last ICY StreamTitle, split into artist/title
+        this.liveMetadata = options.liveMetadata || null; // IcyMetadataReader
+        if (this.liveMetadata) {
+            this.liveMetadata.onMetadata = (meta) => this._onLiveMetadata(meta);
+            this.liveMetadata.onError = (err) => this._fireEvent('error', { type: 'liveMetadata', ...err });
+        }
 
-        // ─── Event Callbacks ───
-        this.onTrackChange = null;
-        this.onStateChange = null;
-        this.onChannelChange = null;
-        this.onTimeUpdate = null;
-        this.onError = null;
-        this.onEnergyPhaseChange = null;
-        this.onPreBuffer = null;  // fired at 80% track duration
+        // ─── Resilience (retry, quarantine, failover) ───
+        this.resilience = {
+            maxRetries: 2,                         // reloads of one URL on network errors
+            retryDelay: 1000,                      // ms, doubled on every attempt
+            maxRetryDelay: 16000,
+            quarantineAfter: 3,                    // failures before a URL is benched
+            quarantineDuration: 30 * 60 * 1000,    // ms on the bench
+            ...(options.resilience || {})
+        };
+        this.sourceHealth = new Map();  // url → { failures, quarantinedUntil }
+        this.isDegraded = false;        // true while the queue is unplayable and fallback runs
+        this._retryState = null;        // { url, attempts, tried } for the active deck
+        this._retryTimer = null;
+        this._consecutiveFailures = 0;  // tracks skipped in a row as unplayable
+
+        // ─── Dead-Air Watchdog ───
+        this.watchdog = {
+            enabled: true,
+            interval: 1000,          // ms between checks
+            stallTimeout: 6000,      // ms of no playback progress before acting
+            silenceTimeout: 8000,    // ms below the silence floor before acting
+            silenceThreshold: 0.001, // RMS (-60 dBFS)
+            recoverAfter: 3000,      // ms of healthy audio before standing down
+            ...(options.watchdog || {})
+        };
+        this._watchdogTimer = null;
+        this._deadAir = this._freshDeadAirState();
+
+        // ─── Session Persistence ───
+        this.session = options.session || null;  // SessionStore (or anything with save/load)
+        this.resumeRewind = options.resumeRewind !== undefined ? options.resumeRewind : 3; // seconds
+        this._lastSessionSave = 0;
+        // Read once up front so saves made while booting can't clobber it
+        this._pendingSnapshot = this.session ? this.session.load('engine') : null;
 
         // ─── Initialize ───
         this._createAudioElements();
         this._setupEventListeners();
+
+        if (this.session && typeof window.addEventListener === 'function') {
+            window.addEventListener('pagehide', () => this._persistSession());
+        }
     }
 
     /* ═══════════════════════════════════════════
@@ -121,6 +283,18 @@ class RadioEngine {
             this.bassBoost.frequency.value = 120;     // sub-bass region
             this.bassBoost.gain.value = 3;            // subtle bass warmth (+3dB)
 
+            // ─── Echo bus (fed pre-fader by each deck's echo send) ───
+            const delay = this.audioContext.createDelay(2);
+            const feedback = this.audioContext.createGain();
+            feedback.gain.value = 0;
+            delay.connect(feedback);
+            feedback.connect(delay);
+            delay.connect(this.bassBoost);
+            this.echo = { delay, feedback };
+
+            // ─── Music bus: both decks, ahead of the master (imaging ducks this, not the jingle) ───
+            this.musicBus = this.audioContext.createGain();
+
             // ─── Master Gain ───
             this.masterGain = this.audioContext.createGain();
             this.masterGain.gain.value = this.currentVolume;
@@ -131,10 +305,12 @@ class RadioEngine {
             this.analyser.smoothingTimeConstant = 0.8;
 
             // ─── Signal Chain ───
-            // player gain → bass boost → compressor → analyser → master → output
+            // player trim → player gain → player low-cut → bass boost → compressor → analyser → music bus → master → output
+            //            ↘ echo send → echo delay ↗                              imaging deck ↗
             this.bassBoost.connect(this.compressor);
             this.compressor.connect(this.analyser);
-            this.analyser.connect(this.masterGain);
+            this.analyser.connect(this.musicBus);
+            this.musicBus.connect(this.masterGain);
             this.masterGain.connect(this.audioContext.destination);
 
             // ─── Frequency data buffers ───
@@ -158,10 +334,21 @@ class RadioEngine {
 
         try {
             player.source = this.audioContext.createMediaElementSource(player.audio);
+            player.trim = this.audioContext.createGain(); // per-track loudness trim
+            player.trim.gain.value = this._dbToGain(player.trimDb);
             player.gain = this.audioContext.createGain();
             player.gain.gain.value = key === this.activePlayer ? 1 : 0;
-            player.source.connect(player.gain);
-            player.gain.connect(this.bassBoost); // route through bass boost
+            player.lowCut = this.audioContext.createBiquadFilter(); // bass-swap EQ, open by default
+            player.lowCut.type = 'highpass';
+            player.lowCut.frequency.value = RadioEngine.LOW_CUT_OPEN;
+            player.echoSend = this.audioContext.createGain();
+            player.echoSend.gain.value = 0;
+            player.source.connect(player.trim);
+            player.trim.connect(player.gain);
+            player.trim.connect(player.echoSend);
+            player.gain.connect(player.lowCut);
+            player.lowCut.connect(this.bassBoost); // route through bass boost
+            player.echoSend.connect(this.echo.delay);
             player.connected = true;
         } catch (e) {
             console.warn(`[RadioEngine] Failed to connect player ${key}:`, e);
@@ -173,7 +360,7 @@ class RadioEngine {
             const audio = this.players[key].audio;
 
             audio.addEventListener('ended', () => {
-                if (key === this.activePlayer && this.isTrackMode) {
+                if (key === this.activePlayer && this.isTrackMode && !this.isInBreak) {
                     this.next();
                 }
             });
@@ -185,28 +372,34 @@ class RadioEngine {
 
                     this._fireEvent('timeUpdate', { currentTime, duration });
 
+                    // Keep the resume point fresh without writing on every tick
+                    if (this.session && Date.now() - this._lastSessionSave > 5000) {
+                        this._persistSession();
+                    }
+
                     if (this.isTrackMode && duration > 0) {
-                        const progress = currentTime / duration;
+                        const nextTrack = this.queue[(this.queueIndex + 1) % this.queue.length];
+                        const cues = this._getCuePoints(this.currentTrack, duration);
+                        const mixOutAt = this._getMixOutPoint(this.currentTrack, nextTrack, duration);
 
                         // ─── 80% PRE-BUFFER: queue DJ voice before crossfade ───
-                        if (progress >= 0.80 && !this._preBufferFired && !this.isCrossfading) {
+                        const preBufferAt = this._getPreBufferPoint(this.currentTrack, nextTrack, duration);
+                        if (currentTime >= preBufferAt && !this._preBufferFired && !this.isCrossfading) {
                             this._preBufferFired = true;
-                            const nextIndex = (this.queueIndex + 1) % this.queue.length;
-                            const nextTrack = this.queue[nextIndex];
                             if (nextTrack) {
                                 this._fireEvent('preBuffer', {
                                     nextTrack, energyPhase: this.energyPhase,
-                                    remainingSeconds: duration - currentTime
+                                    remainingSeconds: cues.cueOut - currentTime,
+                                    mixOutIn: mixOutAt - currentTime
                                 });
                             }
                         }
 
-                        // ─── Crossfade trigger (near end) ───
-                        if (!this.isCrossfading) {
-                            const remaining = duration - currentTime;
-                            if (remaining <= this.crossfadeDuration + 0.5 && remaining > 0) {
-                                this._startCrossfadeToNext();
-                            }
+                        // ─── Crossfade trigger (at the mix-out point, or early on trailing silence) ───
+                        if (!this.isCrossfading && currentTime >= mixOutAt && currentTime < duration) {
+                            this._startCrossfadeToNext();
+                        } else if (!this.isCrossfading) {
+                            this._checkTrailingSilence(currentTime, duration);
                         }
                     }
                 }
@@ -217,11 +410,20 @@ class RadioEngine {
                     type: 'playback', player: key,
                     message: `Player ${key} failed to load audio`
                 });
-                if (key === this.activePlayer && this.isTrackMode) {
-                    setTimeout(() => this.next(), 500);
-                }
+                this._onSourceError(key, audio.error);
             });
 
+            audio.addEventListener('playing', () => this._onSourcePlaying(key));
+
+            // Buffering: start the watchdog's stall clock early
+            for (const type of ['waiting', 'stalled']) {
+                audio.addEventListener(type, () => {
+                    if (key === this.activePlayer && !this._deadAir.bufferingSince) {
+                        this._deadAir.bufferingSince = Date.now();
+                    }
+                });
+            }
+
             audio.addEventListener('canplaythrough', () => { });
         }
     }
@@ -243,7 +445,7 @@ class RadioEngine {
             artwork: config.artwork || null
         };
 
-        // Each track gets tagged with its genre, energy level, and BPM
+        // Each track gets tagged with its genre, energy level, BPM and key
         const tracks = (config.tracks || []).map(t => ({
             ...t,
             genreKey: key,
@@ -251,14 +453,23 @@ class RadioEngine {
             genreColor: genre.color,
             genreIcon: genre.icon,
             energy: typeof t.energy === 'number' ? t.energy : 0.5,  // numeric 0.0–1.0
-            bpm: t.bpm || 118           // default to middle of 110-125 range
+            bpm: t.bpm || 118,          // default to middle of 110-125 range
+            camelot: this._parseKey(t.key), // normalized Camelot code, or null
+            untagged: this._getUntaggedFields(t) // fields the analyzer may fill in
         }));
 
         this.genrePools[key] = { ...genre, tracks };
 
-        // Add tracks to master library
+        // Add tracks to master library (re-registering a genre replaces its tracks)
+        this.masterLibrary = this.masterLibrary.filter(t => t.genreKey !== key);
         this.masterLibrary.push(...tracks);
 
+        // Untagged tracks: apply cached analysis now, decode the rest in the background
+        if (this.analyzer && this.autoAnalyze) {
+            const pending = tracks.filter(t => this._needsAnalysis(t) && !this._applyCachedAnalysis(t));
+            if (pending.length > 0) this.analyzeTracks(pending);
+        }
+
         // Set fallback stream if not already set
         if (!this.fallbackStream && genre.stream) {
             this.fallbackStream = genre.stream;
@@ -268,6 +479,7 @@ class RadioEngine {
     }
 
     getGenres() {
+        const weights = this._normalizeBlend(this.activeFilter);
         return Object.entries(this.genrePools).map(([key, g]) => ({
             key,
             name: g.name,
@@ -275,7 +487,8 @@ class RadioEngine {
             color: g.color,
             icon: g.icon,
             trackCount: g.tracks.length,
-            isActive: key === this.activeFilter || this.activeFilter === 'all'
+            weight: weights ? (weights[key] || 0) : null, // null = unweighted 'all'
+            isActive: weights ? weights[key] > 0 : true
         }));
     }
 
@@ -288,66 +501,41 @@ class RadioEngine {
        [release] → mid energy, melodic elements come forward
        [cooldown] → low energy, atmospheric, spacious
        
-       Then cycles back to build.
+       Then cycles back to build. The shape comes from
+       the active arc profile (see ARC PROFILES below).
        ═══════════════════════════════════════════ */
 
     _buildEnergyQueue(filter = 'all') {
-        // Get tracks based on filter
-        let pool = filter === 'all'
-            ? [...this.masterLibrary]
-            : this.masterLibrary.filter(t => t.genreKey === filter);
-
-        if (pool.length === 0) {
-            // Fallback to all tracks
-            pool = [...this.masterLibrary];
+        // Get tracks based on filter: one pool per blended genre
+        let weights = this._normalizeBlend(filter);
+        const pools = {};
+        if (weights) {
+            for (const key of Object.keys(weights)) {
+                const tracks = this.masterLibrary.filter(t => t.genreKey === key && this._sourceFor(t));
+                if (tracks.length > 0) pools[key] = tracks;
+            }
+            weights = this._normalizeBlend(Object.fromEntries(Object.keys(pools).map(k => [k, weights[k]])));
         }
 
-        // Sort tracks by numeric energy into buckets
-        const buckets = {
-            low: pool.filter(t => t.energy < 0.4),
-            mid: pool.filter(t => t.energy >= 0.4 && t.energy <= 0.8),
-            high: pool.filter(t => t.energy > 0.8)
-        };
+        // Fallback to all tracks (quarantined sources sit this build out)
+        const pool = this.masterLibrary.filter(t => this._sourceFor(t));
 
-        // Build the queue following the energy arc
+        // Build the queue following the active arc profile
         const queue = [];
-        const phases = ['build', 'peak', 'release', 'cooldown'];
-        const energyMap = {
-            build: ['low', 'mid'],     // start with foundations
-            peak: ['high', 'mid'],     // drive up energy
-            release: ['mid', 'low'],   // bring it back
-            cooldown: ['low']          // let it breathe
-        };
+        const picked = {};
+        const profile = this.arcProfiles[this.arcProfile];
 
         // Create enough tracks for a full rotation (multiple cycles)
-        for (let cycle = 0; cycle < 3; cycle++) {
-            for (const phase of phases) {
-                const preferredEnergies = energyMap[phase];
-                const count = this.phaseConfig[phase].tracks;
-
-                for (let i = 0; i < count; i++) {
-                    let track = null;
-
-                    // Try preferred energy levels first
-                    for (const energy of preferredEnergies) {
-                        if (buckets[energy].length > 0) {
-                            // Pick random from bucket
-                            const idx = Math.floor(Math.random() * buckets[energy].length);
-                            track = buckets[energy][idx];
-                            break;
-                        }
-                    }
-
-                    // Fallback: pick from any bucket
-                    if (!track) {
-                        const allAvailable = [...buckets.low, ...buckets.mid, ...buckets.high];
-                        if (allAvailable.length > 0) {
-                            track = allAvailable[Math.floor(Math.random() * allAvailable.length)];
-                        }
-                    }
-
+        for (let cycle = 0; cycle < profile.cycles; cycle++) {
+            for (const phase of profile.phases) {
+                for (let i = 0; i < phase.tracks; i++) {
+                    const slotPool = weights
+                        ? pools[this._nextBlendGenre(weights, picked, pools, phase, i)]
+                        : pool;
+                    const track = this._pickForSlot(slotPool, phase, i, queue);
                     if (track) {
-                        queue.push({ ...track, phase });
+                        queue.push({ ...track, phase: phase.key });
+                        picked[track.genreKey] = (picked[track.genreKey] || 0) + 1;
                     }
                 }
             }
@@ -356,9 +544,95 @@ class RadioEngine {
         // Ensure BPM stays within range — sort adjacent tracks by BPM proximity
         this._smoothBPMTransitions(queue);
 
+        // Then untangle key clashes without breaking the BPM rule
+        this._smoothHarmonicTransitions(queue);
+
         return queue;
     }
 
+    // Deficit scheduling: the genre furthest behind its share gets the slot,
+    // preferring one that actually has tracks for the slot's energy
+    _nextBlendGenre(weights, picked, pools, phase, slot) {
+        const total = Object.values(picked).reduce((a, b) => a + b, 0) + 1;
+        const deficit = key => weights[key] * total - (picked[key] || 0);
+        const owed = Object.keys(weights)
+            .filter(key => deficit(key) > 0)
+            .sort((a, b) => deficit(b) - deficit(a));
+
+        return owed.find(key => this._fitsSlot(pools[key], phase, slot)) || owed[0];
+    }
+
+    _fitsSlot(pool, phase, slot) {
+        if (phase.targets) {
+            const target = phase.targets[slot % phase.targets.length];
+            return pool.some(t => Math.abs(t.energy - target) <= this.arcTolerance);
+        }
+        return pool.some(t => this._inEnergyRange(t.energy, phase.energy[0]));
+    }
+
+    _pickForSlot(pool, phase, slot, queue) {
+        if (pool.length === 0) return null;
+
+        const prev = queue[queue.length - 1];
+        pool = this._filterByRotation(pool, queue);
+
+        // Curve slot: tracks near the target energy, else the closest few
+        if (phase.targets) {
+            const target = phase.targets[slot % phase.targets.length];
+            const distance = t => Math.abs(t.energy - target);
+            const near = pool.filter(t => distance(t) <= this.arcTolerance);
+            if (near.length > 0) return this._pickFromBucket(near, prev);
+
+            const closest = [...pool].sort((a, b) => distance(a) - distance(b)).slice(0, 3);
+            return this._pickFromBucket(closest, prev);
+        }
+
+        // Range slot: try preferred energy ranges in order
+        for (const range of phase.energy) {
+            const bucket = pool.filter(t => this._inEnergyRange(t.energy, range));
+            if (bucket.length > 0) {
+                // Pick from bucket, favouring a smooth mix from the previous track
+                return this._pickFromBucket(bucket, prev);
+            }
+        }
+
+        // Fallback: pick from anything
+        return this._pickFromBucket(pool, prev);
+    }
+
+    _pickFromBucket(bucket, prev) {
+        const random = list => this._pickWeighted(list);
+        if (!prev) return random(bucket);
+
+        const bpmOk = bucket.filter(t => Math.abs(prev.bpm - t.bpm) <= 5);
+
+        if (this.harmonicMixing) {
+            // Known-compatible keys first, then tracks we can't judge
+            const inKey = bpmOk.filter(t => this._isHarmonicMatch(prev, t) === true);
+            if (inKey.length > 0) return random(inKey);
+
+            const unknown = bpmOk.filter(t => this._isHarmonicMatch(prev, t) === null);
+            if (unknown.length > 0) return random(unknown);
+        }
+
+        return random(bpmOk.length > 0 ? bpmOk : bucket);
+    }
+
+    // Uniform unless history weighting is on: favorites up, often-skipped tracks down
+    _pickWeighted(list) {
+        if (!this.history || !this.historyWeighting.enabled) {
+            return list[Math.floor(Math.random() * list.length)];
+        }
+
+        const weights = list.map(t => this._historyWeight(t));
+        let roll = Math.random() * weights.reduce((a, b) => a + b, 0);
+        for (let i = 0; i < list.length; i++) {
+            roll -= weights[i];
+            if (roll < 0) return list[i];
+        }
+        return list[list.length - 1];
+    }
+
     _smoothBPMTransitions(queue) {
         // Ensure no adjacent tracks have BPM jumps > 5
         for (let i = 1; i < queue.length; i++) {
@@ -367,36 +641,302 @@ class RadioEngine {
             const diff = Math.abs(prev.bpm - curr.bpm);
 
             if (diff > 5) {
-                // Look ahead for a better candidate
+                // Look ahead for a better candidate, preferring one that is also in key
+                const candidates = [];
                 for (let j = i + 1; j < queue.length; j++) {
-                    if (Math.abs(prev.bpm - queue[j].bpm) <= 5) {
-                        // Swap for smoother transition
-                        [queue[i], queue[j]] = [queue[j], queue[i]];
-                        break;
-                    }
+                    if (Math.abs(prev.bpm - queue[j].bpm) <= 5) candidates.push(j);
+                }
+                if (this.harmonicMixing) {
+                    const clashes = j => (this._isHarmonicMatch(prev, queue[j]) === false ? 1 : 0);
+                    candidates.sort((a, b) => clashes(a) - clashes(b)); // stable: keeps nearest first
+                }
+
+                // Swap for smoother transition, unless it breaks rotation
+                for (const j of candidates) {
+                    if (this._swapIfRotationSafe(queue, i, j)) break;
                 }
             }
         }
     }
 
+    _smoothHarmonicTransitions(queue) {
+        if (!this.harmonicMixing) return;
+
+        // Swap out clashing neighbours within the same energy phase only,
+        // so the arc shape and the ±5 BPM rule both survive
+        for (let i = 1; i < queue.length; i++) {
+            const prev = queue[i - 1];
+            if (this._isHarmonicMatch(prev, queue[i]) !== false) continue;
+
+            for (let j = i + 1; j < queue.length; j++) {
+                const candidate = queue[j];
+                if (candidate.phase !== queue[i].phase) continue;
+                if (this._isHarmonicMatch(prev, candidate) !== true) continue;
+                if (!this._swapKeepsTempo(queue, i, j)) continue;
+
+                if (this._swapIfRotationSafe(queue, i, j)) break;
+            }
+        }
+    }
+
+    // Every neighbour pair the swap would create stays within ±5 BPM
+    // (pairs ending or starting at i and j; with j = i + 1 they meet)
+    _swapKeepsTempo(queue, i, j) {
+        const at = k => (k === i ? queue[j] : k === j ? queue[i] : queue[k]);
+        for (const k of [i - 1, i, j - 1, j]) {
+            if (k < 0 || k + 1 >= queue.length) continue;
+            if (Math.abs(at(k).bpm - at(k + 1).bpm) > 5) return false;
+        }
+        return true;
+    }
+
+    /* ═══════════════════════════════════════════
+       ROTATION RULES
+       Broadcast-style separation: no title inside
+       its no-repeat window, no artist inside its
+       separation window, with recently played
+       tracks counting across queue rebuilds.
+       If nothing in a pool passes, rules relax
+       one at a time from the lowest priority up:
+       a window is halved until it is gone, then
+       the next rule starts giving way.
+       ═══════════════════════════════════════════ */
+
+    _filterByRotation(pool, queue) {
+        const priority = this.rotation.priority;
+        const limits = {
+            titleSeparation: this.rotation.titleSeparation,
+            artistSeparation: this.rotation.artistSeparation,
+            history: true
+        };
+
+        let rule = priority.length - 1;
+        while (true) {
+            const eligible = pool.filter(t => this._passesRotation(t, queue, limits));
+            if (eligible.length > 0 || rule < 0) return eligible.length > 0 ? eligible : pool;
+
+            // Relax the lowest-priority rule still in force
+            const name = priority[rule];
+            if (name === 'history') {
+                limits.history = false;
+                rule--;
+            } else if (limits[name] > 1) {
+                limits[name] = Math.floor(limits[name] / 2);
+            } else {
+                limits[name] = 0;
+                rule--;
+            }
+        }
+    }
+
+    _passesRotation(track, queue, limits) {
+        const recent = limits.history ? [...this.recentlyPlayed, ...queue] : queue;
+        const id = this._trackId(track);
+
+        if (limits.titleSeparation > 0) {
+            const window = recent.slice(-limits.titleSeparation);
+            if (window.some(t => this._trackId(t) === id)) return false;
+        }
+
+        if (limits.artistSeparation > 0) {
+            const window = recent.slice(-limits.artistSeparation);
+            if (window.some(t => this._sharesArtist(t, track))) return false;
+        }
+
+        return true;
+    }
+
+    // Violations touching position k, looking both ways (used to vet swaps)
+    _rotationViolations(queue, k) {
+        let count = 0;
+        const track = queue[k];
+        const id = this._trackId(track);
+        const { titleSeparation, artistSeparation } = this.rotation;
+
+        for (let d = 1; d <= Math.max(titleSeparation, artistSeparation); d++) {
+            for (const other of [queue[k - d], queue[k + d]]) {
+                if (!other) continue;
+                if (d <= titleSeparation && this._trackId(other) === id) count++;
+                else if (d <= artistSeparation && this._sharesArtist(other, track)) count++;
+            }
+        }
+        return count;
+    }
+
+    _swapIfRotationSafe(queue, i, j) {
+        const before = this._rotationViolations(queue, i) + this._rotationViolations(queue, j);
+        [queue[i], queue[j]] = [queue[j], queue[i]];
+        const after = this._rotationViolations(queue, i) + this._rotationViolations(queue, j);
+
+        if (after > before) {
+            [queue[i], queue[j]] = [queue[j], queue[i]]; // revert
+            return false;
+        }
+        return true;
+    }
+
+    _trackId(track) {
+        return track.id || `${(track.artist || '').toLowerCase()}::${(track.title || '').toLowerCase()}`;
+    }
+
+    _getArtists(track) {
+        // "TitoM & Yuppe" counts as a play for both TitoM and Yuppe
+        return (track.artist || '')
+            .toLowerCase()
+            .split(/\s*(?:&|,|\bfeat\.?|\bft\.?)\s*/)
+            .filter(Boolean);
+    }
+
+    _sharesArtist(a, b) {
+        const artists = this._getArtists(a);
+        return this._getArtists(b).some(name => artists.includes(name));
+    }
+
+    _recordPlayed(entry) {
+        // Only what airs (a track picked while paused counts on play());
+        // play() and crossfades can refresh the same entry, so count it once
+        if (!entry || !this.isPlaying || entry === this._lastPlayedEntry) return;
+        this._lastPlayedEntry = entry;
+
+        this.recentlyPlayed.push({
+            id: this._trackId(entry),
+            title: entry.title,
+            artist: entry.artist,
+            playedAt: Date.now()
+        });
+        if (this.recentlyPlayed.length > this.rotation.historySize) {
+            this.recentlyPlayed.splice(0, this.recentlyPlayed.length - this.rotation.historySize);
+        }
+    }
+
+    /* ═══════════════════════════════════════════
+       LISTENING HISTORY
+       With a PlayHistory attached, every track that
+       airs counts a play, then either a completion
+       (it reached its mix-out point) or a skip
+       (next() before it). Unplayable sources and
+       dead-air skips count as neither. With
+       weighting on, queue builds favour favorites
+       and pass over tracks listeners keep skipping.
+       ═══════════════════════════════════════════ */
+
+    setHistoryWeighting(config = {}) {
+        this.historyWeighting = { ...this.historyWeighting, ...config };
+        return this.historyWeighting;
+    }
+
+    _historyWeight(track) {
+        const { skipPenalty, favoriteBoost, minPlays, floor } = this.historyWeighting;
+        const skipRate = this.history.skipRate(track, minPlays);
+        let weight = skipRate === null ? 1 : Math.max(floor, 1 - skipPenalty * skipRate);
+        if (this.history.isFavorite(track)) weight *= favoriteBoost;
+        return weight;
+    }
+
+    _recordHistoryPlay(entry) {
+        // Only what actually airs: a track picked while paused counts on play()
+        if (!this.history || !this.isPlaying || entry === this._historyEntry) return;
+        this._historyEntry = entry;
+        this.history.recordPlay(entry);
+    }
+
+    // outcome: 'complete' | 'skip', or null to judge from the playhead
+    _recordListenOutcome(outcome = null) {
+        const entry = this._historyEntry;
+        if (!this.history || !entry || this._historyOutcome === entry) return;
+        if (entry !== this.queue[this.queueIndex]) return; // queue moved on without it
+
+        if (!outcome) {
+            const audio = this.players[this.activePlayer].audio;
+            const duration = audio.duration || 0;
+            const nextTrack = this.queue[(this.queueIndex + 1) % this.queue.length];
+            const mixOutAt = duration > 0 ? this._getMixOutPoint(this.currentTrack, nextTrack, duration) : Infinity;
+            // Mid-crossfade the incoming track has barely started
+            outcome = !this.isCrossfading && audio.currentTime >= mixOutAt ? 'complete' : 'skip';
+        }
+
+        this._historyOutcome = entry;
+        if (outcome === 'skip') this.history.recordSkip(entry);
+        else this.history.recordCompletion(entry);
+    }
+
+    /* ═══════════════════════════════════════════
+       HARMONIC MIXING — CAMELOT WHEEL
+       Keys accepted as Camelot ("8A", "11B") or
+       Open Key ("1m", "6d"). Compatible moves:
+       same code, ±1 on the wheel, or relative
+       major/minor (same number, other letter).
+       ═══════════════════════════════════════════ */
+
+    _parseKey(key) {
+        if (typeof key !== 'string') return null;
+        const value = key.trim().toUpperCase();
+
+        // Camelot: 1A–12A (minor), 1B–12B (major)
+        let match = value.match(/^(1[0-2]|[1-9])([AB])$/);
+        if (match) return `${parseInt(match[1], 10)}${match[2]}`;
+
+        // Open Key: 1m–12m (minor), 1d–12d (major); 1d = C major = 8B
+        match = value.match(/^(1[0-2]|[1-9])([MD])$/);
+        if (match) {
+            const number = ((parseInt(match[1], 10) + 6) % 12) + 1;
+            return `${number}${match[2] === 'M' ? 'A' : 'B'}`;
+        }
+
+        return null;
+    }
+
+    _isHarmonicMatch(a, b) {
+        // null = can't judge (missing key data), so callers treat it as neutral
+        if (!a || !b || !a.camelot || !b.camelot) return null;
+
+        const numA = parseInt(a.camelot, 10);
+        const numB = parseInt(b.camelot, 10);
+        const letterA = a.camelot.slice(-1);
+        const letterB = b.camelot.slice(-1);
+
+        if (numA === numB) return true; // same key or relative major/minor
+        if (letterA !== letterB) return false;
+
+        const step = Math.abs(numA - numB);
+        return step === 1 || step === 11; // neighbours on the wheel (12 ↔ 1 wraps)
+    }
+
     _advanceEnergyPhase() {
+        if (this.arcStartsNext) {
+            this.arcStartsNext = false;
+            return;
+        }
         this.tracksInPhase++;
-        const config = this.phaseConfig[this.energyPhase];
+        const phases = this._getArcPhases();
+        const config = phases[this.phaseIndex] || phases[0];
 
         if (this.tracksInPhase >= config.tracks) {
             const prevPhase = this.energyPhase;
-            this.energyPhase = config.nextPhase;
+            this.phaseIndex = (this.phaseIndex + 1) % phases.length;
+            this.energyPhase = phases[this.phaseIndex].key;
             this.tracksInPhase = 0;
 
             this._fireEvent('energyPhaseChange', {
                 from: prevPhase,
                 to: this.energyPhase,
+                profile: this.arcProfile,
                 description: this._getPhaseDescription(this.energyPhase)
             });
         }
     }
 
+    _resetEnergyArc() {
+        this.phaseIndex = 0;
+        this.tracksInPhase = 0;
+        this.arcStartsNext = false;
+        this.energyPhase = this._getArcPhases()[0].key;
+    }
+
     _getPhaseDescription(phase) {
+        const custom = this._getArcPhases().find(p => p.key === phase);
+        if (custom && custom.description) return custom.description;
+
         const descriptions = {
             build: 'Building foundation — percussive layers incoming',
             peak: 'Peak energy — deep bass & driving rhythms',
@@ -406,6 +946,187 @@ class RadioEngine {
         return descriptions[phase] || '';
     }
 
+    /* ═══════════════════════════════════════════
+       ARC PROFILES
+       A profile is either a list of phases, each
+       with a track count and preferred energies
+       (bucket names 'low' | 'mid' | 'high' or
+       [min, max] ranges, in preference order), or
+       a target-energy curve with one point per
+       track. Curve points are auto-labelled
+       build / peak / release / cooldown unless
+       they carry their own `phase`.
+       ═══════════════════════════════════════════ */
+
+    _defaultArcProfiles() {
+        return {
+            classic: {
+                name: 'Classic Arc',
+                phases: [
+                    { key: 'build', tracks: 3, energy: ['low', 'mid'] },   // start with foundations
+                    { key: 'peak', tracks: 2, energy: ['high', 'mid'] },   // drive up energy
+                    { key: 'release', tracks: 2, energy: ['mid', 'low'] }, // bring it back
+                    { key: 'cooldown', tracks: 1, energy: ['low'] }        // let it breathe
+                ]
+            },
+            slowBurn: {
+                name: 'Slow Burn',
+                cycles: 2,
+                curve: [0.2, 0.25, 0.3, 0.35, 0.4, 0.45, 0.5, 0.55, 0.6, 0.7, 0.8, 0.85, 0.9, 0.7, 0.5, 0.3]
+            },
+            peakTime: {
+                name: 'Peak Time',
+                phases: [
+                    { key: 'build', tracks: 1, energy: ['mid'] },
+                    { key: 'peak', tracks: 6, energy: ['high', [0.7, 1]] },
+                    { key: 'release', tracks: 1, energy: ['mid'] }
+                ]
+            },
+            windDown: {
+                name: 'Wind Down',   // the sleep timer's run-out
+                phases: [
+                    { key: 'release', tracks: 2, energy: ['mid', 'low'] },
+                    { key: 'cooldown', tracks: 6, energy: ['low', [0, 0.3]] }
+                ]
+            }
+        };
+    }
+
+    addArcProfile(name, profile) {
+        try {
+            this.arcProfiles[name] = this._normalizeArcProfile(name, profile);
+            return true;
+        } catch (e) {
+            console.warn(`[RadioEngine] Invalid arc profile "${name}":`, e);
+            this._fireEvent('error', { type: 'arcProfile', profile: name, message: e.message });
+            return false;
+        }
+    }
+
+    getArcProfiles() {
+        return Object.entries(this.arcProfiles).map(([key, p]) => ({
+            key,
+            name: p.name,
+            phases: p.phases.map(phase => ({ key: phase.key, tracks: phase.tracks })),
+            isActive: key === this.arcProfile
+        }));
+    }
+
+    setArcProfile(name) {
+        if (!this.arcProfiles[name]) {
+            this._fireEvent('error', { type: 'arcProfile', profile: name, message: `Unknown arc profile "${name}"` });
+            return false;
+        }
+
+        const prevPhase = this.energyPhase;
+        this.arcProfile = name;
+        this._resetEnergyArc();
+
+        // Keep what's playing; everything after it follows the new arc
+        if (this.queue.length > 0 && this.queueIndex >= 0) {
+            const prevNext = this.queue[this.queueIndex + 1];
+            this.queue = [
+                ...this.queue.slice(0, this.queueIndex + 1),
+                ...this._buildEnergyQueue(this.activeFilter)
+            ];
+            this.arcStartsNext = true;
+            this._onUpcomingChanged(prevNext);
+            this._emitQueueChange('rebuild');
+        }
+
+        this._fireEvent('energyPhaseChange', {
+            from: prevPhase,
+            to: this.energyPhase,
+            profile: name,
+            description: this._getPhaseDescription(this.energyPhase)
+        });
+        return true;
+    }
+
+    _getArcPhases() {
+        return this.arcProfiles[this.arcProfile].phases;
+    }
+
+    _normalizeArcProfile(name, profile) {
+        let phases;
+        if (Array.isArray(profile.curve)) {
+            phases = this._phasesFromCurve(profile.curve);
+        } else if (Array.isArray(profile.phases)) {
+            phases = profile.phases.map(p => {
+                if (!p.key) throw new Error('Every phase needs a key');
+                return {
+                    key: p.key,
+                    tracks: Math.max(1, Math.round(p.tracks || 1)),
+                    energy: this._normalizeEnergyRanges(p.energy),
+                    description: p.description || ''
+                };
+            });
+        } else {
+            throw new Error('Profile needs either `phases` or `curve`');
+        }
+
+        if (phases.length === 0) throw new Error('Profile has no phases');
+
+        return {
+            name: profile.name || name,
+            cycles: Math.max(1, profile.cycles || 3),
+            phases
+        };
+    }
+
+    _normalizeEnergyRanges(energy) {
+        if (energy === undefined || energy === null) return [[0, 1]];
+        const list = Array.isArray(energy) && typeof energy[0] === 'number' ? [energy] : [].concat(energy);
+
+        return list.map(range => {
+            if (typeof range === 'string') {
+                if (!['low', 'mid', 'high'].includes(range)) throw new Error(`Unknown energy bucket "${range}"`);
+                return range;
+            }
+            if (Array.isArray(range) && range.length === 2) return [Math.min(...range), Math.max(...range)];
+            throw new Error('Energy must be a bucket name or [min, max] range');
+        });
+    }
+
+    _inEnergyRange(energy, range) {
+        // Named buckets keep the original thresholds
+        switch (range) {
+            case 'low': return energy < 0.4;
+            case 'mid': return energy >= 0.4 && energy <= 0.8;
+            case 'high': return energy > 0.8;
+            default: return energy >= range[0] && energy <= range[1];
+        }
+    }
+
+    _phasesFromCurve(curve) {
+        const phases = [];
+        let prevEnergy = null;
+
+        for (const point of curve) {
+            const energy = typeof point === 'number' ? point : point.energy;
+            if (typeof energy !== 'number') throw new Error('Curve points need a numeric energy');
+
+            const last = phases[phases.length - 1];
+            let key = point.phase;
+            if (!key) {
+                if (energy > 0.8) key = 'peak';
+                else if (prevEnergy === null || energy > prevEnergy) key = 'build';
+                else if (energy < prevEnergy) key = energy < 0.4 ? 'cooldown' : 'release';
+                else key = last.key;
+            }
+
+            // Consecutive points with the same label form one phase
+            if (last && last.key === key) {
+                last.tracks++;
+                last.targets.push(energy);
+            } else {
+                phases.push({ key, tracks: 1, targets: [energy], description: point.description || '' });
+            }
+            prevEnergy = energy;
+        }
+        return phases;
+    }
+
     /* ═══════════════════════════════════════════
        FILTER / GENRE SELECTION
        Instead of switching channels, this filters
@@ -414,75 +1135,183 @@ class RadioEngine {
 
     async setFilter(filter) {
         const wasPlaying = this.isPlaying;
+        this._endBreak(); // the listener's channel pick cuts the break short
+
+        filter = this._resolveFilter(filter);
         this.activeFilter = filter;
-        this.currentGenreKey = filter;
+        this.currentGenreKey = typeof filter === 'string' ? filter : null;
+        this._leaveLiveMode();
 
         // Rebuild queue with the new filter
         this.queue = this._buildEnergyQueue(filter);
         this.queueIndex = 0;
         this.isTrackMode = this.queue.length > 0;
-        this.energyPhase = 'build';
-        this.tracksInPhase = 0;
-
-        const genreName = filter === 'all'
-            ? 'All Genres'
-            : (this.genrePools[filter]?.name || filter);
+        this._resetEnergyArc();
+        this._emitQueueChange('rebuild');
 
         this._fireEvent('channelChange', {
             channel: filter,
-            name: genreName,
-            genre: filter === 'all' ? 'Blended' : this.genrePools[filter]?.genre || filter,
+            ...this._describeFilter(filter),
             isTrackMode: this.isTrackMode
         });
 
+        if (this.queue.length > 0) this._setDegraded(false);
+
         if (wasPlaying && this.queue.length > 0) {
-            await this._crossfadeToSource(this.queue[0].url);
+            await this._crossfadeToSource(this._getCurrentSource());
         } else if (this.queue.length > 0) {
-            this._loadSource(this.activePlayer, this.queue[0].url);
+            this._loadSource(this.activePlayer, this._getCurrentSource(), this.queue[0]);
             this._updateCurrentTrack();
         }
 
         return true;
     }
 
-    // Legacy compatibility: switchChannel calls setFilter
-    async switchChannel(channelKey) {
-        return this.setFilter(channelKey);
+    // Blends are stored normalized; one-genre blends collapse to the plain key
+    _resolveFilter(filter) {
+        if (typeof filter !== 'object' || filter === null) return filter || 'all';
+        const weights = this._normalizeBlend(filter);
+        const keys = weights ? Object.keys(weights) : [];
+        return keys.length === 0 ? 'all' : keys.length === 1 ? keys[0] : weights;
     }
 
-    /* ═══════════════════════════════════════════
-       PLAYBACK CONTROLS
-       ═══════════════════════════════════════════ */
-
-    async play() {
-        this._initAudioContext();
-
-        if (this.audioContext && this.audioContext.state === 'suspended') {
-            await this.audioContext.resume();
+    // Programming change (daypart scheduler): new filter and/or arc profile for
+    // everything after the current track, which plays out untouched — the new
+    // programming starts at the next track boundary (paused counts: the track
+    // resumes where it was). On a stream the listener chose, it's only stored
+    // for when they come back to the queue. Stopped, it applies straight away.
+    async setProgram({ filter, arcProfile } = {}) {
+        if (arcProfile !== undefined && !this.arcProfiles[arcProfile]) {
+            this._fireEvent('error', { type: 'arcProfile', profile: arcProfile, message: `Unknown arc profile "${arcProfile}"` });
+            arcProfile = undefined;
         }
 
-        // Build queue if empty
-        if (this.queue.length === 0) {
-            this.queue = this._buildEnergyQueue(this.activeFilter);
-            this.queueIndex = 0;
-            this.isTrackMode = this.queue.length > 0;
+        if (!this.isTrackMode && (this.liveStreamUrl || this.isPlaying)) {
+            if (filter !== undefined) {
+                this.activeFilter = this._resolveFilter(filter);
+                this.currentGenreKey = typeof this.activeFilter === 'string' ? this.activeFilter : null;
+            }
+            if (arcProfile !== undefined) this.arcProfile = arcProfile;
+            this._persistSession();
+            return true;
         }
 
-        // Connect inactive player
-        const inactiveKey = this.activePlayer === 'A' ? 'B' : 'A';
-        this._connectPlayer(inactiveKey);
-
-        const source = this._getCurrentSource();
-        if (!source) {
-            this._fireEvent('error', { type: 'noSource', message: 'No audio source available' });
-            return false;
+        const started = this.isPlaying || this.players[this.activePlayer].audio.currentTime > 0;
+        const boundary = started && this.isTrackMode && this.queue.length > 0 && this.queueIndex >= 0;
+        if (!boundary) {
+            if (filter === undefined) return arcProfile !== undefined ? this.setArcProfile(arcProfile) : true;
+            if (arcProfile !== undefined) this.arcProfile = arcProfile; // setFilter rebuilds on it
+            return this.setFilter(filter);
         }
 
-        const activeAudio = this.players[this.activePlayer].audio;
-
-        if (!activeAudio.src || !activeAudio.src.includes(source.replace(/https?:/, ''))) {
-            this._loadSource(this.activePlayer, source);
+        const prevPhase = this.energyPhase;
+        if (filter !== undefined) {
+            this.activeFilter = this._resolveFilter(filter);
+            this.currentGenreKey = typeof this.activeFilter === 'string' ? this.activeFilter : null;
         }
+        if (arcProfile !== undefined) this.arcProfile = arcProfile;
+        this._resetEnergyArc();
+
+        // Only the track on air carries over, so the queue's wrap stays inside the new programme
+        const prevNext = this.queue[this.queueIndex + 1];
+        this.queue = [this.queue[this.queueIndex], ...this._buildEnergyQueue(this.activeFilter)];
+        this.queueIndex = 0;
+        if (this.currentTrack) this.currentTrack.index = 0;
+        this.arcStartsNext = true; // current track belongs to the previous programme
+        this._onUpcomingChanged(prevNext);
+        this._emitQueueChange('rebuild');
+
+        if (filter !== undefined) {
+            this._fireEvent('channelChange', {
+                channel: this.activeFilter,
+                ...this._describeFilter(this.activeFilter),
+                isTrackMode: this.isTrackMode
+            });
+        }
+        if (arcProfile !== undefined) {
+            this._fireEvent('energyPhaseChange', {
+                from: prevPhase,
+                to: this.energyPhase,
+                profile: this.arcProfile,
+                description: this._getPhaseDescription(this.energyPhase)
+            });
+        }
+        this._persistSession();
+        return true;
+    }
+
+    // 'all' → null; 'afrotech' → { afrotech: 1 }; { afrotech: 7, amapiano: 3 } → { afrotech: 0.7, amapiano: 0.3 }
+    // Unknown genres and non-positive weights are dropped
+    _normalizeBlend(filter) {
+        if (!filter || filter === 'all') return null;
+        if (typeof filter === 'string') return this.genrePools[filter] ? { [filter]: 1 } : null;
+
+        const entries = Object.entries(filter)
+            .filter(([key, weight]) => this.genrePools[key] && Number.isFinite(weight) && weight > 0);
+        const sum = entries.reduce((total, [, weight]) => total + weight, 0);
+        if (entries.length === 0) return null;
+
+        return Object.fromEntries(entries.map(([key, weight]) => [key, weight / sum]));
+    }
+
+    _describeFilter(filter) {
+        if (filter === 'all') return { name: 'All Genres', genre: 'Blended', blend: null };
+        if (typeof filter === 'string') {
+            const pool = this.genrePools[filter];
+            return { name: pool?.name || filter, genre: pool?.genre || filter, blend: null };
+        }
+
+        // "AfroTech 70% · Amapiano 30%", heaviest first
+        const blend = Object.entries(filter)
+            .sort((a, b) => b[1] - a[1])
+            .map(([key, weight]) => ({ key, name: this.genrePools[key]?.name || key, weight }));
+        return {
+            name: blend.map(b => `${b.name} ${Math.round(b.weight * 100)}%`).join(' · '),
+            genre: blend.map(b => this.genrePools[b.key]?.genre || b.key).join(' / '),
+            blend
+        };
+    }
+
+    // Legacy compatibility: switchChannel calls setFilter
+    async switchChannel(channelKey) {
+        return this.setFilter(channelKey);
+    }
+
+    /* ═══════════════════════════════════════════
+       PLAYBACK CONTROLS
+       ═══════════════════════════════════════════ */
+
+    async play() {
+        this._initAudioContext();
+
+        if (this.audioContext && this.audioContext.state === 'suspended') {
+            await this.audioContext.resume();
+        }
+
+        // Build queue if empty (live mode plays the stream instead)
+        if (this.queue.length === 0 && !this.liveStreamUrl) {
+            this.queue = this._buildEnergyQueue(this.activeFilter);
+            this.queueIndex = 0;
+            this.isTrackMode = this.queue.length > 0;
+            this._emitQueueChange('rebuild');
+        }
+
+        // Connect inactive player
+        const inactiveKey = this.activePlayer === 'A' ? 'B' : 'A';
+        this._connectPlayer(inactiveKey);
+
+        const source = this._getCurrentSource();
+        if (!source) {
+            this._fireEvent('error', { type: 'noSource', message: 'No audio source available' });
+            return false;
+        }
+
+        const activeAudio = this.players[this.activePlayer].audio;
+
+        if (!activeAudio.src || !activeAudio.src.includes(source.replace(/https?:/, ''))) {
+            this._loadSource(this.activePlayer, source, this._getQueuedTrack());
+        }
+        this._applyTrackGain(this.activePlayer, this._getQueuedTrack());
 
         try {
             await activeAudio.play();
@@ -490,214 +1319,1513 @@ class RadioEngine {
             this._updateCurrentTrack();
             this._fireEvent('stateChange', { isPlaying: true, track: this.currentTrack });
 
-            if (this.isTrackMode) {
-                this._preloadNext();
-            }
+            if (this.isTrackMode) {
+                this._preloadNext();
+            }
+            this._syncLiveMetadata();
+            this._startWatchdog();
+
+            return true;
+        } catch (e) {
+            console.warn('[RadioEngine] Playback failed:', e);
+            this._fireEvent('error', { type: 'playback', message: e.message });
+            return false;
+        }
+    }
+
+    pause() {
+        const activeAudio = this.players[this.activePlayer].audio;
+        activeAudio.pause();
+        this.isPlaying = false;
+        // The break stops; play() picks up with the track after it
+        if (this.isInBreak && this.breakHandler) this.breakHandler.abort();
+        this._syncLiveMetadata();
+        this._stopWatchdog();
+        this._fireEvent('stateChange', { isPlaying: false, track: this.currentTrack });
+        this._persistSession();
+    }
+
+    async togglePlay() {
+        if (this.isPlaying) {
+            this.pause();
+            return false;
+        } else {
+            return await this.play();
+        }
+    }
+
+    stop() {
+        for (const key of ['A', 'B']) {
+            this.players[key].audio.pause();
+            this.players[key].audio.currentTime = 0;
+            this.players[key].audio.playbackRate = 1;
+        }
+        this.isPlaying = false;
+        this._endBreak();
+        this.isCrossfading = false;
+        this._syncLiveMetadata();
+        if (this.crossfadeRAF) cancelAnimationFrame(this.crossfadeRAF);
+        clearTimeout(this.crossfadeTimer);
+        clearTimeout(this._retryTimer);
+        this._stopWatchdog();
+        this._cancelTempoRelease();
+        this._resetTransitionFx();
+        this._fireEvent('stateChange', { isPlaying: false, track: null });
+    }
+
+    // Jump within the current track. Refused mid-crossfade (both decks are
+    // committed to the blend) and on live streams (nothing to seek).
+    seek(seconds) {
+        const audio = this.players[this.activePlayer].audio;
+        const duration = audio.duration;
+        if (this.isCrossfading || !this.isTrackMode || !isFinite(duration) || duration <= 0) return false;
+        if (typeof seconds !== 'number' || isNaN(seconds)) return false;
+
+        const target = Math.max(0, Math.min(seconds, duration - 0.25));
+        try {
+            audio.currentTime = target;
+        } catch (e) {
+            console.warn('[RadioEngine] Seek failed:', e);
+            return false;
+        }
+
+        // Back before the pre-buffer point: the DJ intro has to be prepared again.
+        // Forward past it: leave the flag alone so it fires (once) on the next tick.
+        const nextTrack = this.queue[(this.queueIndex + 1) % this.queue.length];
+        if (target < this._getPreBufferPoint(this.currentTrack, nextTrack, duration)) {
+            this._preBufferFired = false;
+        }
+
+        this._fireEvent('timeUpdate', { currentTime: target, duration });
+        this._persistSession();
+        return true;
+    }
+
+    /* ═══════════════════════════════════════════
+       TRACK NAVIGATION
+       ═══════════════════════════════════════════ */
+
+    async next() {
+        if (!this.isTrackMode || this.queue.length === 0) return;
+        this._endBreak(); // skipping during a break skips the rest of it
+        this._recordListenOutcome();
+        return this._advance();
+    }
+
+    // Move to the next queue entry. Internal skips (unplayable source, dead air)
+    // come straight here so they don't count against the track as listener skips.
+    async _advance() {
+        if (!this.isTrackMode || this.queue.length === 0) return;
+
+        this.queueIndex = (this.queueIndex + 1) % this.queue.length;
+        this._advanceEnergyPhase();
+
+        // Rebuild queue if we've looped
+        if (this.queueIndex === 0) {
+            this.queue = this._buildEnergyQueue(this.activeFilter);
+            this._emitQueueChange('rebuild');
+        } else {
+            this._emitQueueChange('advance');
+        }
+
+        if (this.isPlaying) {
+            await this._crossfadeToSource(this._getCurrentSource());
+        } else {
+            this._loadSource(this.activePlayer, this._getCurrentSource(), this._getQueuedTrack());
+            this._updateCurrentTrack();
+        }
+    }
+
+    async previous() {
+        if (!this.isTrackMode || this.queue.length === 0) return;
+
+        // During an ad break: back to the top of the track that just finished
+        if (this.isInBreak && this.isPlaying) {
+            this._endBreak();
+            await this._crossfadeToSource(this._getCurrentSource());
+            return;
+        }
+        this._endBreak();
+
+        const activeAudio = this.players[this.activePlayer].audio;
+        if (activeAudio.currentTime > 3) {
+            activeAudio.currentTime = 0;
+            return;
+        }
+
+        this.queueIndex = (this.queueIndex - 1 + this.queue.length) % this.queue.length;
+        this._emitQueueChange('advance');
+
+        if (this.isPlaying) {
+            await this._crossfadeToSource(this._getCurrentSource());
+        } else {
+            this._loadSource(this.activePlayer, this._getCurrentSource(), this._getQueuedTrack());
+            this._updateCurrentTrack();
+        }
+    }
+
+    /* ═══════════════════════════════════════════
+       LIVE STREAM MODE
+       Plays a continuous Shoutcast/Icecast stream
+       instead of the queue. While it plays, the
+       ICY reader follows StreamTitle and every
+       change becomes a regular trackChange.
+       setFilter() (or queueing a track) returns
+       to track mode.
+       ═══════════════════════════════════════════ */
+
+    async playLive(url = this.fallbackStream) {
+        if (!url) {
+            this._fireEvent('error', { type: 'noSource', message: 'No live stream configured' });
+            return false;
+        }
+
+        this._endBreak(); // going live cuts the break short
+        this.isTrackMode = false;
+        this.liveStreamUrl = url;
+        this.liveTrack = null;
+
+        if (this.isPlaying) {
+            await this._crossfadeToSource(url);
+        } else {
+            this._loadSource(this.activePlayer, url);
+            this._updateCurrentTrack();
+        }
+        this._syncLiveMetadata();
+        return true;
+    }
+
+    _leaveLiveMode() {
+        this.liveStreamUrl = null;
+        this.liveTrack = null;
+        if (this.liveMetadata) this.liveMetadata.stop();
+    }
+
+    _syncLiveMetadata() {
+        if (!this.liveMetadata) return;
+
+        if (this.isPlaying && !this.isTrackMode) {
+            this.liveMetadata.start(this._getCurrentSource());
+        } else {
+            this.liveMetadata.stop();
+        }
+    }
+
+    _onLiveMetadata(meta) {
+        if (this.isTrackMode) return;
+        this.liveTrack = meta;
+        this._updateCurrentTrack();
+    }
+
+    /* ═══════════════════════════════════════════
+       QUEUE EDITING
+       Positions are absolute queue indexes (the
+       same numbers getUpcoming() reports). The
+       playing track can't be removed or moved;
+       edits shift queueIndex so it keeps pointing
+       at it. Whenever the next track changes the
+       inactive deck is re-preloaded and the 80%
+       pre-buffer re-arms, so the DJ intro and the
+       crossfade follow the edited queue.
+       ═══════════════════════════════════════════ */
+
+    getUpcoming(count = 5) {
+        if (this.queueIndex < 0) return [];
+        return this.queue
+            .slice(this.queueIndex + 1, this.queueIndex + 1 + count)
+            .map((track, n) => ({ ...track, position: this.queueIndex + 1 + n }));
+    }
+
+    playNext(track) {
+        return this.insertTrack(track, this.queueIndex + 1);
+    }
+
+    insertTrack(track, position = this.queue.length) {
+        if (!track || !track.url) {
+            this._fireEvent('error', { type: 'queue', message: 'Track needs a url to be queued' });
+            return false;
+        }
+
+        const prevNext = this.queue[this.queueIndex + 1];
+        const at = Math.max(0, Math.min(this.queue.length, position));
+        const entry = { ...track, phase: track.phase || this.energyPhase, isManual: true };
+
+        this.queue.splice(at, 0, entry);
+        if (at <= this.queueIndex) this.queueIndex++;
+
+        // First track into an empty station switches it into track mode
+        if (!this.isTrackMode) {
+            this.isTrackMode = true;
+            if (this.queueIndex < 0) this.queueIndex = 0;
+            this._leaveLiveMode();
+        }
+
+        this._onUpcomingChanged(prevNext);
+        this._emitQueueChange('insert', { position: at, track: entry });
+        return at;
+    }
+
+    removeFromQueue(position) {
+        if (position < 0 || position >= this.queue.length || position === this.queueIndex) return false;
+
+        const prevNext = this.queue[this.queueIndex + 1];
+        const [removed] = this.queue.splice(position, 1);
+        if (position < this.queueIndex) this.queueIndex--;
+
+        this._onUpcomingChanged(prevNext);
+        this._emitQueueChange('remove', { position, track: removed });
+        return removed;
+    }
+
+    moveInQueue(from, to) {
+        if (from < 0 || from >= this.queue.length || from === this.queueIndex) return false;
+
+        const prevNext = this.queue[this.queueIndex + 1];
+        const current = this.queue[this.queueIndex];
+        const [track] = this.queue.splice(from, 1);
+        const at = Math.max(0, Math.min(this.queue.length, to));
+        this.queue.splice(at, 0, track);
+
+        // Re-find the playing entry rather than doing index arithmetic
+        if (current) this.queueIndex = this.queue.indexOf(current);
+
+        this._onUpcomingChanged(prevNext);
+        this._emitQueueChange('move', { from, to: at, track });
+        return at;
+    }
+
+    async jumpTo(position) {
+        if (!this.isTrackMode || position < 0 || position >= this.queue.length) return false;
+        if (position === this.queueIndex || this.isCrossfading) return false;
+
+        this.queueIndex = position;
+        this._advanceEnergyPhase();
+        this._emitQueueChange('jump', { position });
+
+        if (this.isPlaying) {
+            await this._crossfadeToSource(this._getCurrentSource());
+        } else {
+            this._loadSource(this.activePlayer, this._getCurrentSource(), this._getQueuedTrack());
+            this._updateCurrentTrack();
+        }
+        return true;
+    }
+
+    _onUpcomingChanged(prevNext) {
+        if (this.queue[this.queueIndex + 1] === prevNext) return;
+
+        // During a crossfade the pre-buffer belongs to the incoming track; it re-arms on completion
+        if (!this.isCrossfading) this._preBufferFired = false;
+        if (this.isPlaying) this._preloadNext();
+    }
+
+    _emitQueueChange(action, details = {}) {
+        this._fireEvent('queueChange', {
+            action,
+            ...details,
+            queueIndex: this.queueIndex,
+            queueLength: this.queue.length,
+            upcoming: this.getUpcoming()
+        });
+        this._persistSession();
+    }
+
+    /* ═══════════════════════════════════════════
+       GROOVE-PRESERVING CROSSFADE ENGINE
+       
+       Uses requestAnimationFrame for 60fps smoothness.
+       The shape of the handover comes from the
+       transition style resolved for the track pair
+       (see TRANSITION STYLES below).
+       ═══════════════════════════════════════════ */
+
+    async _crossfadeToSource(newSource, tried = []) {
+        if (!newSource || this.isCrossfading) return;
+        this.isCrossfading = true;
+
+        const outKey = this.activePlayer;
+        const inKey = outKey === 'A' ? 'B' : 'A';
+
+        this._connectPlayer(inKey);
+
+        const outPlayer = this.players[outKey];
+        const inPlayer = this.players[inKey];
+
+        // Incoming track is already at queueIndex; outgoing is still currentTrack
+        const inTrack = this.isTrackMode ? this.queue[this.queueIndex] : null;
+        const outTrack = this.currentTrack;
+
+        this._loadSource(inKey, newSource, inTrack);
+
+        // ─── Beatmatch: nudge incoming tempo to the outgoing groove ───
+        this._cancelTempoRelease();
+        const tempoRate = this._getBeatmatchRate(outTrack, outPlayer, inTrack);
+        inPlayer.audio.playbackRate = tempoRate;
+
+        try {
+            await inPlayer.audio.play();
+        } catch (e) {
+            console.warn('[RadioEngine] Crossfade play failed:', e);
+            inPlayer.audio.playbackRate = 1;
+            this.isCrossfading = false;
+            if (e.name === 'AbortError' || !inTrack) return; // deck was reloaded, not broken
+
+            // Only the media element's own error says the source is bad. Autoplay
+            // blocks (NotAllowedError) and the like are the browser's call, not the URL's.
+            if (!inPlayer.audio.error) {
+                this._fireEvent('error', { type: 'playback', player: inKey, message: e.message });
+                return;
+            }
+
+            // Dead source: fail over to the track's next URL while the outgoing deck carries on.
+            // Without one, the next mix-out tick moves past this track.
+            this._recordFailure(newSource);
+            const alternate = this._sourceFor(inTrack, [...tried, newSource]);
+            if (alternate) return this._crossfadeToSource(alternate, [...tried, newSource]);
+            this._onTrackUnplayable();
+            return;
+        }
+
+        // ─── Downbeat lock: phase incoming bar grid against outgoing ───
+        if (this.beatmatch.enabled && this.beatmatch.alignDownbeat) {
+            const startAt = this._getDownbeatStart(outTrack, outPlayer, inTrack, tempoRate);
+            if (startAt !== null) {
+                try { inPlayer.audio.currentTime = startAt; }
+                catch (e) { console.warn('[RadioEngine] Downbeat seek failed:', e); }
+            }
+        }
+
+        const style = this._resolveTransition(outTrack, inTrack);
+        let duration = this._getTransitionDuration(style, outTrack, outPlayer) * 1000; // ms
+
+        // ─── Hard cut: wait for the outgoing beat, land the incoming on one of its own ───
+        if (style.type === 'hardCut') {
+            duration = this._secondsToNextBeat(outTrack, outPlayer) * 1000;
+            if (!(this.beatmatch.enabled && this.beatmatch.alignDownbeat)) {
+                const startAt = this._getCutStart(inTrack, duration / 1000, tempoRate);
+                if (startAt !== null) {
+                    try { inPlayer.audio.currentTime = startAt; }
+                    catch (e) { console.warn('[RadioEngine] Cut alignment seek failed:', e); }
+                }
+            }
+        }
+
+        this._fireEvent('transition', {
+            style: style.key, type: style.type, duration: duration / 1000,
+            from: outTrack, to: inTrack
+        });
+
+        // ─── Echo-out: delay line locked to the outgoing beat ───
+        if (style.type === 'echoOut' && this.echo) {
+            const beat = outTrack && outTrack.bpm ? 60 / (outTrack.bpm * outPlayer.audio.playbackRate) : 0.5;
+            this.echo.delay.delayTime.value = Math.min(2, beat * style.echoBeats);
+            this.echo.feedback.gain.value = style.feedback;
+        }
+
+        // ─── Bass swap: incoming deck starts with its low end cut ───
+        if (style.type === 'bassSwap' && inPlayer.lowCut) {
+            inPlayer.lowCut.frequency.value = style.lowCut;
+        }
+        let bassSwapped = false;
+
+        // Optional bass bump keeps the low end continuous through the blend
+        if (style.bassBump && this.bassBoost) {
+            if (this._restoreBassGain === null) this._restoreBassGain = this.bassBoost.gain.value;
+            this.bassBoost.gain.value = this._restoreBassGain + style.bassBump;
+        }
+
+        // A deck faded for an ad break leaves from where it is, not from full level
+        const outLevel = outPlayer.gain ? outPlayer.gain.gain.value
+            : (this.currentVolume > 0 ? Math.min(1, outPlayer.audio.volume / this.currentVolume) : 1);
+
+        const startTime = performance.now();
+
+        const doFade = (now) => {
+            const elapsed = now - startTime;
+            const progress = duration > 0 ? Math.min(elapsed / duration, 1) : 1;
+
+            let fadeOut, fadeIn;
+            if (style.type === 'hardCut') {
+                // Nothing moves until the beat, then the decks swap outright
+                fadeOut = progress < 1 ? 1 : 0;
+                fadeIn = progress < 1 ? 0 : 1;
+            } else if (style.type === 'echoOut') {
+                // Dry signal gone in the first quarter; the echo tail carries it out
+                fadeOut = this._fadeCurve(style.curve, Math.min(1, progress * 4))[0];
+                fadeIn = this._fadeCurve(style.curve, progress)[1];
+                if (outPlayer.echoSend) outPlayer.echoSend.gain.value = progress < 0.25 ? style.wet : 0;
+            } else {
+                [fadeOut, fadeIn] = this._fadeCurve(style.curve, progress);
+            }
+
+            // Bass swap at the midpoint: kicks trade decks, never overlap
+            if (style.type === 'bassSwap' && !bassSwapped && progress >= 0.5 && inPlayer.lowCut && outPlayer.lowCut) {
+                bassSwapped = true;
+                const at = this.audioContext.currentTime;
+                outPlayer.lowCut.frequency.setTargetAtTime(style.lowCut, at, 0.01);
+                inPlayer.lowCut.frequency.setTargetAtTime(RadioEngine.LOW_CUT_OPEN, at, 0.01);
+            }
+
+            // Groove scoop: slight volume dip at midpoint for rhythmic blend
+            const grooveDip = 1 - (Math.sin(progress * Math.PI) * style.grooveDip);
+
+            if (outPlayer.gain && inPlayer.gain) {
+                outPlayer.gain.gain.value = fadeOut * outLevel * grooveDip;
+                inPlayer.gain.gain.value = fadeIn * grooveDip;
+            } else {
+                // No Web Audio: every style degrades to its volume curve
+                outPlayer.audio.volume = fadeOut * outLevel * this.currentVolume * grooveDip;
+                inPlayer.audio.volume = fadeIn * this.currentVolume * grooveDip;
+            }
+
+            if (progress < 1) {
+                this.crossfadeRAF = requestAnimationFrame(doFade);
+            } else {
+                // Crossfade complete
+                outPlayer.audio.pause();
+                outPlayer.audio.currentTime = 0;
+                outPlayer.audio.playbackRate = 1;
+                if (outPlayer.gain) outPlayer.gain.gain.value = 0;
+
+                // Open the EQ, close the echo send, restore bass boost
+                this._resetTransitionFx();
+
+                this.activePlayer = inKey;
+                this.isCrossfading = false;
+
+                // Ease the incoming deck back to native speed
+                if (tempoRate !== 1) {
+                    this._releaseTempo(inKey);
+                }
+
+                this._updateCurrentTrack();
+                this._fireEvent('stateChange', { isPlaying: true, track: this.currentTrack });
+
+                if (this.isTrackMode) {
+                    this._preloadNext();
+                }
+                this._syncLiveMetadata();
+            }
+        };
+
+        this.crossfadeRAF = requestAnimationFrame(doFade);
+    }
+
+    /* ═══════════════════════════════════════════
+       TRANSITION STYLES
+       A style is { type, curve, duration, ... }:
+         fade     — volume curve: 'linear' |
+                    'equalPower' | 'exponential'
+         echoOut  — outgoing dry cut early, a
+                    beat-synced echo tail decays
+                    under the incoming deck
+         hardCut  — instant swap on the next beat
+                    of the outgoing track
+         bassSwap — each deck has its own low-cut;
+                    incoming starts thin, lows
+                    trade decks at the midpoint
+       Resolution, most specific first: pair rule
+       (track id or genre → track id or genre),
+       incoming track's `transition` tag, incoming
+       genre, then the station default.
+       ═══════════════════════════════════════════ */
+
+    _defaultTransitionStyles() {
+        return {
+            linear: { name: 'Linear', curve: 'linear' },
+            equalPower: { name: 'Equal Power', curve: 'equalPower', grooveDip: 0.05, bassBump: 2 }, // the classic Amaradio blend
+            exponential: { name: 'Exponential', curve: 'exponential' },
+            echoOut: { name: 'Echo Out', type: 'echoOut', curve: 'equalPower', echoBeats: 0.75, feedback: 0.55, wet: 0.7 },
+            hardCut: { name: 'Hard Cut', type: 'hardCut' },
+            bassSwap: { name: 'Bass Swap', type: 'bassSwap', curve: 'equalPower', lowCut: 180, duration: 8 }
+        };
+    }
+
+    addTransitionStyle(name, style) {
+        const types = ['fade', 'echoOut', 'hardCut', 'bassSwap'];
+        const curves = ['linear', 'equalPower', 'exponential'];
+        const normalized = {
+            name,
+            type: 'fade',
+            curve: 'equalPower',
+            duration: null,   // seconds; null = crossfadeDuration
+            grooveDip: 0,
+            bassBump: 0,      // dB added to the bass shelf while blending
+            echoBeats: 0.75,
+            feedback: 0.5,
+            wet: 0.7,
+            lowCut: 180,      // Hz
+            ...style
+        };
+
+        if (!types.includes(normalized.type) || !curves.includes(normalized.curve)) {
+            const message = `Unknown transition type "${normalized.type}" or curve "${normalized.curve}"`;
+            console.warn(`[RadioEngine] Invalid transition style "${name}": ${message}`);
+            this._fireEvent('error', { type: 'transitionStyle', style: name, message });
+            return false;
+        }
+
+        this.transitionStyles[name] = normalized;
+        return true;
+    }
+
+    getTransitionStyles() {
+        return Object.entries(this.transitionStyles).map(([key, s]) => ({
+            key,
+            name: s.name,
+            type: s.type,
+            isStationDefault: key === this.transitions.station
+        }));
+    }
+
+    // setTransitionStyle('bassSwap')                              → station default
+    // setTransitionStyle('echoOut', { genre: 'afrotech' })        → when an AfroTech track comes in
+    // setTransitionStyle('hardCut', { from: 'piano', to: '*' })   → pair rule (track id, genre key or '*')
+    // Pass null as the style to clear a genre or pair rule
+    setTransitionStyle(style, scope = {}) {
+        if (style !== null && !this.transitionStyles[style]) {
+            this._fireEvent('error', { type: 'transitionStyle', style, message: `Unknown transition style "${style}"` });
+            return false;
+        }
+
+        if (scope.from || scope.to) {
+            const from = scope.from || '*';
+            const to = scope.to || '*';
+            this.transitions.pairs = this.transitions.pairs.filter(p => p.from !== from || p.to !== to);
+            if (style) this.transitions.pairs.push({ from, to, style });
+        } else if (scope.genre) {
+            if (style) this.transitions.genres[scope.genre] = style;
+            else delete this.transitions.genres[scope.genre];
+        } else if (style) {
+            this.transitions.station = style;
+        }
+        return true;
+    }
+
+    _resolveTransition(outTrack, inTrack) {
+        const styles = this.transitionStyles;
+
+        // Pair rules: a track id beats a genre, a genre beats '*'
+        const matchScore = (pattern, track) => {
+            if (pattern === '*') return 0;
+            if (!track) return -1;
+            if (pattern === this._trackId(track)) return 2;
+            return pattern === track.genreKey ? 1 : -1;
+        };
+        let best = null, bestScore = -1;
+        for (const pair of this.transitions.pairs) {
+            const from = matchScore(pair.from, outTrack);
+            const to = matchScore(pair.to, inTrack);
+            if (from < 0 || to < 0 || !styles[pair.style]) continue;
+            if (from + to >= bestScore) {
+                best = pair.style;
+                bestScore = from + to;
+            }
+        }
+
+        const key = best
+            || (inTrack && styles[inTrack.transition] ? inTrack.transition : null)
+            || (inTrack && styles[this.transitions.genres[inTrack.genreKey]] ? this.transitions.genres[inTrack.genreKey] : null)
+            || this.transitions.station;
+        return { key, ...styles[key] };
+    }
+
+    // Seconds before cueOut that a transition without a mixOutStart has to start
+    _getTransitionLead(outTrack, inTrack) {
+        const style = this._resolveTransition(outTrack, inTrack);
+        if (style.type === 'hardCut') return outTrack && outTrack.bpm ? 60 / outTrack.bpm : 0;
+        return style.duration || this.crossfadeDuration;
+    }
+
+    // Fade length: the outgoing track's cued outro if it has one, else the style's own
+    _getTransitionDuration(style, outTrack, outPlayer) {
+        const cues = this._getCuePoints(outTrack, outPlayer.audio.duration);
+        if (cues.mixOutStart !== null) {
+            const window = (cues.cueOut - Math.max(cues.mixOutStart, outPlayer.audio.currentTime || 0));
+            return Math.max(0.5, window / (outPlayer.audio.playbackRate || 1));
+        }
+        return style.duration || this.crossfadeDuration;
+    }
+
+    // [fadeOut, fadeIn] gains for progress 0..1
+    _fadeCurve(curve, progress) {
+        if (curve === 'linear') return [1 - progress, progress];
+        if (curve === 'exponential') {
+            // Straight line in dB across a 60dB range, so ears hear an even fade
+            const db = p => (p <= 0 ? 0 : Math.pow(10, (p - 1) * 3));
+            return [db(1 - progress), db(progress)];
+        }
+        // Equal-power (preserves perceived volume)
+        return [Math.cos(progress * Math.PI / 2), Math.sin(progress * Math.PI / 2)];
+    }
+
+    _secondsToNextBeat(track, player) {
+        if (!track || !track.bpm) return 0;
+        const beat = 60 / track.bpm;
+        const position = player.audio.currentTime - (track.firstBeatOffset || 0);
+        const intoBeat = ((position % beat) + beat) % beat;
+        return (beat - intoBeat) / (player.audio.playbackRate || 1);
+    }
+
+    // Start point so the incoming deck is exactly on a beat when the cut lands
+    _getCutStart(track, wait, rate) {
+        if (!track || !track.bpm) return null;
+        const beat = 60 / track.bpm;
+        const offset = track.firstBeatOffset || 0;
+        const lead = wait * rate; // track seconds that pass before the cut
+        const cueIn = this._getCuePoints(track).cueIn;
+        const beats = Math.max(0, Math.ceil((lead + cueIn - offset) / beat));
+        return offset + beats * beat - lead;
+    }
+
+    _resetTransitionFx() {
+        for (const key of ['A', 'B']) {
+            const player = this.players[key];
+            if (player.lowCut) player.lowCut.frequency.value = RadioEngine.LOW_CUT_OPEN;
+            if (player.echoSend) player.echoSend.gain.value = 0;
+        }
+        // The echo tail rings out on its own feedback; just stop feeding it
+        if (this.bassBoost && this._restoreBassGain !== null) {
+            this.bassBoost.gain.value = this._restoreBassGain;
+        }
+        this._restoreBassGain = null;
+    }
+
+    /* ═══════════════════════════════════════════
+       CUE POINTS
+       Optional per-track seconds:
+         cueIn       — where the track starts playing
+         mixOutStart — where the outgoing blend begins
+         cueOut      — where the track is fully out
+       With mixOutStart, the transition spans
+       mixOutStart → cueOut, so the incoming intro
+       rides the whole outro. Without it, the
+       transition ends just before cueOut (or the
+       file end). Invalid or out-of-order points
+       are ignored, never trusted.
+       ═══════════════════════════════════════════ */
+
+    _getCuePoints(track, duration = Infinity) {
+        const end = isFinite(duration) && duration > 0 ? duration : Infinity;
+        const valid = (value, min, max) => (typeof value === 'number' && value >= min && value <= max ? value : null);
+
+        // Explicit cues win; measured silence fills in where they're missing
+        const silence = this._getSilence(track, end);
+        const cueIn = (track && valid(track.cueIn, 0, end)) || silence.leading;
+        const cueOut = (track && valid(track.cueOut, cueIn + 1, end)) || (end - silence.trailing > cueIn + 1 ? end - silence.trailing : end);
+        const mixOutStart = track ? valid(track.mixOutStart, cueIn, cueOut - 0.5) : null;
+        return { cueIn, mixOutStart, cueOut };
+    }
+
+    /* ═══════════════════════════════════════════
+       SILENCE TRIMMING
+       Leading / trailing silence (from analysis or
+       catalog tags) becomes the default cueIn /
+       cueOut. Tracks with no measurement yet are
+       watched on the analyser near their end: once
+       silence holds, the mix starts there and the
+       measurement is kept for the next play.
+       ═══════════════════════════════════════════ */
+
+    _getSilence(track, end = Infinity) {
+        if (!this.silenceTrim.enabled || !track) return { leading: 0, trailing: 0 };
+        const seconds = value => (typeof value === 'number' && value > 0 && value < end ? value : 0);
+        return { leading: seconds(track.leadingSilence), trailing: seconds(track.trailingSilence) };
+    }
+
+    // Called from timeupdate; returns true when it started the mix
+    _checkTrailingSilence(currentTime, duration) {
+        const track = this._getQueuedTrack();
+        const trim = this.silenceTrim;
+        if (!trim.enabled || !track || !this.analyser || this.isMuted) return false;
+        if (typeof track.trailingSilence === 'number' || typeof track.cueOut === 'number') return false;
+        if (duration - currentTime > trim.window) {
+            this._silentSince = null;
+            return false;
+        }
+
+        if (this._measureRms() >= trim.threshold) {
+            this._silentSince = null;
+            return false;
+        }
+        if (this._silentSince === null) this._silentSince = currentTime;
+        if (currentTime - this._silentSince < trim.holdTime) return false;
+
+        // Remember it, so the next play of this track mixes out on time
+        const trailing = Math.round((duration - this._silentSince) * 100) / 100;
+        this._forEachCopy(track, t => { t.trailingSilence = trailing; });
+        this._silentSince = null;
+        this._startCrossfadeToNext();
+        return true;
+    }
+
+    _measureRms() {
+        if (!this._rmsSamples) this._rmsSamples = new Float32Array(this.analyser.fftSize);
+        this.analyser.getFloatTimeDomainData(this._rmsSamples);
+
+        let sum = 0;
+        for (const sample of this._rmsSamples) sum += sample * sample;
+        return Math.sqrt(sum / this._rmsSamples.length);
+    }
+
+    // Track time at which the transition to the next track starts
+    _getMixOutPoint(track, nextTrack, duration) {
+        const cues = this._getCuePoints(track, duration);
+        if (cues.mixOutStart !== null) return cues.mixOutStart;
+        return cues.cueOut - this._getTransitionLead(track, nextTrack) - 0.5;
+    }
+
+    // 80% of the playable span (cueIn → mix-out point)
+    _getPreBufferPoint(track, nextTrack, duration) {
+        const cueIn = this._getCuePoints(track, duration).cueIn;
+        const mixOutAt = this._getMixOutPoint(track, nextTrack, duration);
+        return cueIn + Math.max(1, mixOutAt - cueIn) * 0.8;
+    }
+
+    /* ═══════════════════════════════════════════
+       BEATMATCH
+       Incoming deck is nudged to the outgoing deck's
+       effective tempo for the blend, optionally locked
+       to its downbeat grid, then eased back to native
+       speed once it is the only deck playing.
+       ═══════════════════════════════════════════ */
+
+    setBeatmatch(config = {}) {
+        this.beatmatch = { ...this.beatmatch, ...config };
+        return this.beatmatch;
+    }
+
+    _getBeatmatchRate(outTrack, outPlayer, inTrack) {
+        if (!this.beatmatch.enabled || !outTrack || !inTrack) return 1;
+        if (outTrack.isStream || !outTrack.bpm || !inTrack.bpm) return 1;
+
+        // Outgoing deck may still be nudged from the previous transition
+        const outBpm = outTrack.bpm * (outPlayer.audio.playbackRate || 1);
+        const rate = outBpm / inTrack.bpm;
+
+        if (Math.abs(rate - 1) > this.beatmatch.maxTempoShift) return 1;
+        return rate;
+    }
+
+    _getDownbeatStart(outTrack, outPlayer, inTrack, tempoRate) {
+        if (!outTrack || !inTrack) return null;
+        if (typeof outTrack.firstBeatOffset !== 'number' || typeof inTrack.firstBeatOffset !== 'number') return null;
+        if (!outTrack.bpm || !inTrack.bpm) return null;
+
+        const beatsPerBar = 4;
+        const outRate = outPlayer.audio.playbackRate || 1;
+
+        // Where the outgoing deck sits inside its current bar (in beats)
+        const outBeats = (outPlayer.audio.currentTime - outTrack.firstBeatOffset) * outTrack.bpm / 60;
+        const beatsToBar = beatsPerBar - (((outBeats % beatsPerBar) + beatsPerBar) % beatsPerBar);
+        const wallToDownbeat = beatsToBar * 60 / (outTrack.bpm * outRate);
+
+        // Incoming must reach its first downbeat exactly when outgoing hits its next one
+        const barSeconds = beatsPerBar * 60 / inTrack.bpm;
+        let startAt = inTrack.firstBeatOffset - wallToDownbeat * tempoRate;
+        const cueIn = this._getCuePoints(inTrack).cueIn;
+        while (startAt < cueIn) startAt += barSeconds; // extend grid back through the intro
+
+        return startAt;
+    }
+
+    _releaseTempo(playerKey) {
+        const audio = this.players[playerKey].audio;
+        const fromRate = audio.playbackRate;
+        const duration = this.beatmatch.releaseDuration * 1000;
+        const startTime = performance.now();
+
+        const doRelease = (now) => {
+            const progress = Math.min((now - startTime) / duration, 1);
+            audio.playbackRate = fromRate + (1 - fromRate) * progress;
+
+            if (progress < 1) {
+                this.tempoRAF = requestAnimationFrame(doRelease);
+            } else {
+                this.tempoRAF = null;
+            }
+        };
+
+        this.tempoRAF = requestAnimationFrame(doRelease);
+    }
+
+    _cancelTempoRelease() {
+        if (this.tempoRAF) cancelAnimationFrame(this.tempoRAF);
+        this.tempoRAF = null;
+    }
+
+    /* ═══════════════════════════════════════════
+       LOUDNESS NORMALIZATION
+       Each player has a trim node ahead of its
+       crossfade gain. Tracks carry either `gainDb`
+       (ReplayGain, relative to -18 LUFS) or `lufs`
+       (measured integrated loudness); both are
+       mapped onto the station target so the
+       compressor sees consistent levels.
+       ═══════════════════════════════════════════ */
+
+    setLoudnessTarget(lufs) {
+        this.loudness.target = lufs;
+        this._applyTrackGain(this.activePlayer, this._getQueuedTrack());
+        return this.loudness.target;
+    }
+
+    _getTrackGainDb(track) {
+        if (!this.loudness.enabled || !track) return 0;
+
+        let gainDb = 0;
+        if (typeof track.gainDb === 'number') {
+            gainDb = track.gainDb + (this.loudness.target - this.loudness.replayGainReference);
+        } else if (typeof track.lufs === 'number') {
+            gainDb = this.loudness.target - track.lufs;
+        }
+
+        return Math.min(gainDb, this.loudness.maxBoostDb);
+    }
+
+    _applyTrackGain(playerKey, track) {
+        const player = this.players[playerKey];
+        player.trimDb = this._getTrackGainDb(track);
+
+        // Trim node only exists once the audio graph is up; _connectPlayer picks up trimDb
+        if (player.trim && this.audioContext) {
+            const now = this.audioContext.currentTime;
+            player.trim.gain.cancelScheduledValues(now);
+            player.trim.gain.setValueAtTime(this._dbToGain(player.trimDb), now);
+        }
+    }
+
+    _dbToGain(db) {
+        return Math.pow(10, db / 20);
+    }
+
+    // ITU-R BS.1770 integrated loudness of a decoded AudioBuffer (LUFS)
+    async measureLoudness(audioBuffer) {
+        const OfflineCtx = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        if (!OfflineCtx || !audioBuffer) return null;
+
+        // ─── K-weighting: high-shelf (+4dB @ 1.5kHz) then high-pass (38Hz) ───
+        const offline = new OfflineCtx(audioBuffer.numberOfChannels, audioBuffer.length, audioBuffer.sampleRate);
+        const source = offline.createBufferSource();
+        source.buffer = audioBuffer;
+
+        const shelf = offline.createBiquadFilter();
+        shelf.type = 'highshelf';
+        shelf.frequency.value = 1500;
+        shelf.gain.value = 4;
+
+        const highpass = offline.createBiquadFilter();
+        highpass.type = 'highpass';
+        highpass.frequency.value = 38;
+        highpass.Q.value = 0.5;
+
+        source.connect(shelf);
+        shelf.connect(highpass);
+        highpass.connect(offline.destination);
+        source.start(0);
+
+        const weighted = await offline.startRendering();
+
+        // ─── 400ms blocks, 75% overlap ───
+        const blockSize = Math.round(weighted.sampleRate * 0.4);
+        const hop = Math.round(blockSize / 4);
+        const channels = [];
+        for (let c = 0; c < weighted.numberOfChannels; c++) channels.push(weighted.getChannelData(c));
+
+        const blocks = [];
+        for (let start = 0; start + blockSize <= weighted.length; start += hop) {
+            let power = 0;
+            for (const data of channels) {
+                let sum = 0;
+                for (let i = start; i < start + blockSize; i++) sum += data[i] * data[i];
+                power += sum / blockSize;
+            }
+            blocks.push(power);
+        }
+        if (blocks.length === 0) return null;
+
+        const toLufs = power => -0.691 + 10 * Math.log10(power);
+        const mean = list => list.reduce((a, b) => a + b, 0) / list.length;
+
+        // ─── Absolute gate (-70 LUFS), then relative gate (-10 LU) ───
+        const absGated = blocks.filter(p => toLufs(p) > -70);
+        if (absGated.length === 0) return null;
+
+        const relThreshold = toLufs(mean(absGated)) - 10;
+        const relGated = absGated.filter(p => toLufs(p) > relThreshold);
+        if (relGated.length === 0) return null;
+
+        return toLufs(mean(relGated));
+    }
+
+    // Fetch + decode + measure a track lacking loudness metadata; caches as track.lufs
+    async measureTrackLoudness(track) {
+        if (!track || !track.url) return null;
+        if (typeof track.lufs === 'number' || typeof track.gainDb === 'number') {
+            return typeof track.lufs === 'number' ? track.lufs : null;
+        }
+
+        try {
+            this._initAudioContext();
+            const response = await fetch(track.url);
+            const data = await response.arrayBuffer();
+            const buffer = await this.audioContext.decodeAudioData(data);
+            const lufs = await this.measureLoudness(buffer);
+
+            if (lufs !== null) {
+                this._forEachCopy(track, t => { t.lufs = lufs; });
+
+                const current = this._getQueuedTrack();
+                if (current && current.url === track.url && current.title === track.title) {
+                    this._applyTrackGain(this.activePlayer, current);
+                }
+            }
+            return lufs;
+        } catch (e) {
+            console.warn('[RadioEngine] Loudness measurement failed:', e);
+            this._fireEvent('error', { type: 'loudness', message: e.message });
+            return null;
+        }
+    }
+
+    /* ═══════════════════════════════════════════
+       TRACK ANALYSIS
+       Fills bpm / energy / intro / outro / silence
+       for tracks registered without them. Explicit tags always
+       win; only the fields listed in `untagged` are
+       ever overwritten. Only missing tempo or energy
+       triggers a decode (trailing silence is caught
+       live), and stream sources are never decoded.
+       ═══════════════════════════════════════════ */
+
+    async analyzeTracks(tracks = this.masterLibrary.filter(t => this._needsAnalysis(t))) {
+        if (!this.analyzer) return [];
+
+        const results = [];
+        // Sequential on purpose: each decode holds a whole track in memory
+        for (const track of tracks) {
+            if (this._isStreamSource(track)) { // an endless download, nothing to measure
+                results.push(null);
+                continue;
+            }
+            try {
+                const result = await this.analyzer.analyze(track);
+                if (result) this._applyAnalysis(track, result);
+                results.push(result);
+            } catch (e) {
+                console.warn(`[RadioEngine] Analysis failed for "${track.title}":`, e);
+                this._fireEvent('error', { type: 'analysis', track, message: e.message });
+                results.push(null);
+            }
+        }
+        return results;
+    }
+
+    _getUntaggedFields(track) {
+        const untagged = [];
+        if (!track.bpm) untagged.push('bpm');
+        if (typeof track.energy !== 'number') untagged.push('energy');
+        if (typeof track.introLength !== 'number') untagged.push('introLength');
+        if (typeof track.outroLength !== 'number') untagged.push('outroLength');
+        if (typeof track.leadingSilence !== 'number') untagged.push('leadingSilence');
+        if (typeof track.trailingSilence !== 'number') untagged.push('trailingSilence');
+        return untagged;
+    }
+
+    _needsAnalysis(track) {
+        // Intro/outro/silence alone don't justify a decode; tempo or energy do
+        return !!track.untagged && (track.untagged.includes('bpm') || track.untagged.includes('energy'))
+            && !this._isStreamSource(track);
+    }
+
+    // Live streams: flagged, or a genre's / the live stream url reused as a track url
+    _isStreamSource(track) {
+        if (track.isStream) return true;
+        if (!track.url) return false;
+        if (track.url === this.fallbackStream || track.url === this.liveStreamUrl) return true;
+        return Object.values(this.genrePools).some(genre => genre.stream === track.url);
+    }
+
+    _applyCachedAnalysis(track) {
+        const cached = this.analyzer.getCached(track);
+        if (!cached) return false;
+        this._applyAnalysis(track, cached);
+        return true;
+    }
+
+    _applyAnalysis(track, result) {
+        const fields = track.untagged || [];
+
+        this._forEachCopy(track, t => {
+            for (const field of fields) {
+                if (result[field] !== null && result[field] !== undefined) t[field] = result[field];
+            }
+            t.untagged = [];
+        });
+
+        this._fireEvent('trackAnalyzed', { track, result });
+    }
+
+    // Library tracks are copied into the queue; keep every copy in sync
+    _forEachCopy(track, fn) {
+        const copies = new Set([track]);
+        for (const t of [...this.masterLibrary, ...this.queue]) {
+            if (t.url === track.url && t.title === track.title) copies.add(t);
+        }
+        copies.forEach(fn);
+    }
+
+    _startCrossfadeToNext() {
+        if (this.isCrossfading || !this.isTrackMode) return;
+
+        const nextIndex = (this.queueIndex + 1) % this.queue.length;
+        const nextTrack = this.queue[nextIndex];
+        if (!nextTrack) return;
+
+        this._recordListenOutcome('complete');
+        if (this._breakDue(nextTrack)) {
+            this._runBreak(nextTrack);
+            return;
+        }
+        this.queueIndex = nextIndex;
+        this._advanceEnergyPhase();
+        this._emitQueueChange('advance');
+        this._crossfadeToSource(this._sourceFor(nextTrack) || nextTrack.url);
+    }
+
+    /* ═══════════════════════════════════════════
+       AD BREAKS
+       At a natural mix-out the break handler may
+       claim the boundary: the outgoing track fades
+       out, the handler's play() airs the break,
+       then the queue advances as usual. Handler:
+         isDue({ from, to }) → boolean
+         play({ from, to })  → Promise, settled when
+                               the break is over
+         abort()             — end it now (pause)
+       Skips and channel changes cut a break short;
+       listener skips never start one.
+       ═══════════════════════════════════════════ */
 
-            return true;
+    setBreakHandler(handler) {
+        this._endBreak();
+        this.breakHandler = handler || null;
+    }
+
+    _breakDue(nextTrack) {
+        if (!this.breakHandler || !this.isPlaying || !this.currentTrack || this.currentTrack.isStream) return false;
+        try {
+            return !!this.breakHandler.isDue({ from: this.currentTrack, to: nextTrack });
         } catch (e) {
-            console.warn('[RadioEngine] Playback failed:', e);
-            this._fireEvent('error', { type: 'playback', message: e.message });
+            console.warn('[RadioEngine] Break check failed:', e);
             return false;
         }
     }
 
-    pause() {
-        const activeAudio = this.players[this.activePlayer].audio;
-        activeAudio.pause();
-        this.isPlaying = false;
-        this._fireEvent('stateChange', { isPlaying: false, track: this.currentTrack });
-    }
+    async _runBreak(nextTrack) {
+        const brk = { from: this.currentTrack, to: nextTrack, key: this.activePlayer };
+        this._break = brk;
+        this.isInBreak = true;
+        this.isCrossfading = true; // holds the mix-out trigger, seeks and the watchdog, as a blend does
+        this._fireEvent('breakStart', { from: brk.from, to: brk.to });
+
+        // Music out first; the break starts on a clean bed
+        const seconds = this.crossfadeDuration;
+        this._fadeOutDeck(brk, seconds);
+        await new Promise(resolve => setTimeout(resolve, seconds * 1000));
+        if (this._break !== brk) return;
+        this.players[brk.key].audio.pause();
 
-    async togglePlay() {
         if (this.isPlaying) {
-            this.pause();
-            return false;
-        } else {
-            return await this.play();
+            try {
+                await this.breakHandler.play({ from: brk.from, to: brk.to });
+            } catch (e) {
+                console.warn('[RadioEngine] Ad break failed:', e);
+                this._fireEvent('error', { type: 'adBreak', message: e.message });
+            }
         }
+        if (this._break !== brk) return; // skipped, switched or stopped meanwhile
+
+        this._endBreak();
+        // Paused during the break: _advance loads the next track for play()
+        await this._advance();
     }
 
-    stop() {
-        for (const key of ['A', 'B']) {
-            this.players[key].audio.pause();
-            this.players[key].audio.currentTime = 0;
-        }
-        this.isPlaying = false;
+    _fadeOutDeck(brk, seconds) {
+        const player = this.players[brk.key];
+        const from = player.gain ? player.gain.gain.value : player.audio.volume;
+        const startTime = performance.now();
+
+        const step = (now) => {
+            if (this._break !== brk) return;
+            const level = from * (1 - Math.min(1, (now - startTime) / (seconds * 1000)));
+            if (player.gain) player.gain.gain.value = level;
+            else player.audio.volume = level;
+            if (level > 0) this._breakRAF = requestAnimationFrame(step);
+        };
+        this._breakRAF = requestAnimationFrame(step);
+    }
+
+    // Closes the break (if any). Playing, the faded deck stays where it is and the
+    // next crossfade takes it out from there; otherwise it's back to full for play().
+    _endBreak() {
+        const brk = this._break;
+        if (!brk) return;
+
+        this._break = null;
+        this.isInBreak = false;
         this.isCrossfading = false;
-        if (this.crossfadeRAF) cancelAnimationFrame(this.crossfadeRAF);
-        clearTimeout(this.crossfadeTimer);
-        this._fireEvent('stateChange', { isPlaying: false, track: null });
+        cancelAnimationFrame(this._breakRAF);
+        try { this.breakHandler.abort(); }
+        catch (e) { console.warn('[RadioEngine] Break abort failed:', e); }
+
+        if (!this.isPlaying) {
+            const player = this.players[brk.key];
+            if (player.gain) player.gain.gain.value = 1;
+            else player.audio.volume = this.currentVolume;
+        }
+        this._fireEvent('breakEnd', { from: brk.from, to: brk.to });
     }
 
     /* ═══════════════════════════════════════════
-       TRACK NAVIGATION
+       PRELOADING
        ═══════════════════════════════════════════ */
 
-    async next() {
-        if (!this.isTrackMode || this.queue.length === 0) return;
+    _preloadNext() {
+        // Mid-crossfade the "inactive" deck is the incoming track — leave it alone
+        if (this.isCrossfading) return;
 
-        this.queueIndex = (this.queueIndex + 1) % this.queue.length;
-        this._advanceEnergyPhase();
+        const nextSource = this._getNextSource();
+        if (!nextSource) return;
 
-        // Rebuild queue if we've looped
-        if (this.queueIndex === 0) {
-            this.queue = this._buildEnergyQueue(this.activeFilter);
+        const inactiveKey = this.activePlayer === 'A' ? 'B' : 'A';
+        const inactive = this.players[inactiveKey];
+
+        if (inactive.url !== nextSource) {
+            inactive.url = nextSource;
+            inactive.audio.src = nextSource;
+            inactive.audio.load();
         }
+    }
 
-        if (this.isPlaying) {
-            await this._crossfadeToSource(this._getCurrentSource());
-        } else {
-            this._loadSource(this.activePlayer, this._getCurrentSource());
-            this._updateCurrentTrack();
+    _getCurrentSource() {
+        if (this.isTrackMode && this.queue.length > 0 && this.queueIndex >= 0) {
+            const track = this.queue[this.queueIndex];
+            return (track && (this._sourceFor(track) || track.url)) || this.fallbackStream;
         }
+        return this.liveStreamUrl || this.fallbackStream;
     }
 
-    async previous() {
-        if (!this.isTrackMode || this.queue.length === 0) return;
+    _getNextSource() {
+        if (!this.isTrackMode || this.queue.length === 0) return null;
+        const nextIndex = (this.queueIndex + 1) % this.queue.length;
+        const track = this.queue[nextIndex];
+        return track ? this._sourceFor(track) : null;
+    }
 
-        const activeAudio = this.players[this.activePlayer].audio;
-        if (activeAudio.currentTime > 3) {
-            activeAudio.currentTime = 0;
-            return;
-        }
+    /* ═══════════════════════════════════════════
+       RESILIENCE
+       A failing deck is handled in escalating steps:
+       1. network errors reload the same URL with
+          exponential backoff (resuming in place)
+       2. then the track's `alternates`, in order
+       3. then the next track, with growing gaps
+       4. when nothing queued is playable, the
+          fallback stream takes over ('degraded')
+       URLs that keep failing are quarantined for
+       a while and left out of queue builds.
+       ═══════════════════════════════════════════ */
 
-        this.queueIndex = (this.queueIndex - 1 + this.queue.length) % this.queue.length;
+    // First URL of the track (url, then alternates) that isn't benched or excluded
+    _sourceFor(track, exclude = []) {
+        const urls = [track.url, ...(Array.isArray(track.alternates) ? track.alternates : [])];
+        return urls.find(url => url && !exclude.includes(url) && !this._isQuarantined(url)) || null;
+    }
 
-        if (this.isPlaying) {
-            await this._crossfadeToSource(this._getCurrentSource());
-        } else {
-            this._loadSource(this.activePlayer, this._getCurrentSource());
-            this._updateCurrentTrack();
+    _isQuarantined(url) {
+        const health = this.sourceHealth.get(url);
+        if (!health || !health.quarantinedUntil) return false;
+        if (Date.now() < health.quarantinedUntil) return true;
+
+        // Parole: one more failure sends it straight back
+        health.quarantinedUntil = 0;
+        health.failures = this.resilience.quarantineAfter - 1;
+        return false;
+    }
+
+    _recordFailure(url) {
+        if (!url) return;
+        const health = this.sourceHealth.get(url) || { failures: 0, quarantinedUntil: 0 };
+        health.failures++;
+        if (health.failures >= this.resilience.quarantineAfter && !health.quarantinedUntil) {
+            health.quarantinedUntil = Date.now() + this.resilience.quarantineDuration;
+            console.warn(`[RadioEngine] Quarantined ${url} after ${health.failures} failures`);
         }
+        this.sourceHealth.set(url, health);
     }
 
-    /* ═══════════════════════════════════════════
-       GROOVE-PRESERVING CROSSFADE ENGINE
-       
-       Uses requestAnimationFrame for 60fps smoothness.
-       Equal-power crossfade with bass emphasis during
-       transition to maintain groove continuity.
-       ═══════════════════════════════════════════ */
+    getQuarantined() {
+        return [...this.sourceHealth.entries()]
+            .filter(([url]) => this._isQuarantined(url))
+            .map(([url, health]) => ({ url, failures: health.failures, until: health.quarantinedUntil }));
+    }
 
-    async _crossfadeToSource(newSource) {
-        if (!newSource || this.isCrossfading) return;
-        this.isCrossfading = true;
+    clearQuarantine(url = null) {
+        if (url) this.sourceHealth.delete(url);
+        else this.sourceHealth.clear();
+    }
 
-        const outKey = this.activePlayer;
-        const inKey = outKey === 'A' ? 'B' : 'A';
+    _backoff(attempt) {
+        return Math.min(this.resilience.maxRetryDelay, this.resilience.retryDelay * Math.pow(2, attempt));
+    }
 
-        this._connectPlayer(inKey);
+    _onSourcePlaying(key) {
+        if (key === this.activePlayer) this._deadAir.bufferingSince = null;
+        const url = this.players[key].url;
+        if (url) this.sourceHealth.delete(url);
+        if (key === this.activePlayer || this.isCrossfading) {
+            this._consecutiveFailures = 0;
+            if (this._retryState && this._retryState.url === url) this._retryState.attempts = 0;
+        }
+        if (this.isDegraded && this.isTrackMode) this._setDegraded(false);
+    }
 
-        const outPlayer = this.players[outKey];
-        const inPlayer = this.players[inKey];
+    _onSourceError(key, mediaError) {
+        const player = this.players[key];
+        const url = player.url;
+        if (!url) return;
 
-        this._loadSource(inKey, newSource);
+        // Preloading / incoming deck: just count it (crossfade handles its own failover)
+        if (key !== this.activePlayer) {
+            if (!this.isCrossfading) this._recordFailure(url);
+            return;
+        }
 
-        try {
-            await inPlayer.audio.play();
-        } catch (e) {
-            console.warn('[RadioEngine] Crossfade play failed:', e);
-            this.isCrossfading = false;
+        if (!this._retryState || this._retryState.url !== url) {
+            this._retryState = { url, attempts: 0, tried: [url] };
+        }
+        const state = this._retryState;
+
+        // Step 1: transient network trouble — reload and resume where it dropped
+        const networkError = !mediaError || mediaError.code === 2; // MEDIA_ERR_NETWORK
+        if (networkError && state.attempts < this.resilience.maxRetries) {
+            const position = isFinite(player.audio.duration) ? player.audio.currentTime : 0;
+            const track = this._getQueuedTrack();
+            clearTimeout(this._retryTimer);
+            this._retryTimer = setTimeout(() => {
+                if (player.url !== url || key !== this.activePlayer) return; // moved on meanwhile
+                this._loadSource(key, url, track);
+                if (position > 0) this._seekWhenReady(key, position);
+                if (this.isPlaying) player.audio.play().catch(() => { }); // errors land back here
+            }, this._backoff(state.attempts));
+            state.attempts++;
             return;
         }
 
-        const duration = this.crossfadeDuration * 1000; // ms
-        const startTime = performance.now();
+        this._recordFailure(url);
 
-        // Temporarily boost bass during crossfade to keep low-end continuous
-        const originalBassGain = this.bassBoost ? this.bassBoost.gain.value : 3;
-        if (this.bassBoost) {
-            this.bassBoost.gain.value = originalBassGain + 2; // +2dB during transition
+        if (!this.isTrackMode) {
+            this._onStreamUnplayable(url);
+            return;
         }
 
-        const doFade = (now) => {
-            const elapsed = now - startTime;
-            const progress = Math.min(elapsed / duration, 1);
+        // Step 2: the same track from another URL
+        const track = this._getQueuedTrack();
+        const alternate = track ? this._sourceFor(track, state.tried) : null;
+        if (alternate) {
+            this._retryState = { url: alternate, attempts: 0, tried: [...state.tried, alternate] };
+            this._loadSource(key, alternate, track);
+            if (this.isPlaying) player.audio.play().catch(() => { });
+            return;
+        }
 
-            // Equal-power crossfade curve (preserves perceived volume)
-            const fadeOut = Math.cos(progress * Math.PI / 2);
-            const fadeIn = Math.sin(progress * Math.PI / 2);
+        // Step 3: skip the track, backing off so a dead catalog can't spin
+        if (this._onTrackUnplayable()) return;
+        clearTimeout(this._retryTimer);
+        this._retryTimer = setTimeout(() => this._advance(), this._backoff(this._consecutiveFailures - 1));
+    }
 
-            // Groove scoop: slight volume dip at midpoint for rhythmic blend
-            const grooveDip = 1 - (Math.sin(progress * Math.PI) * 0.05);
+    // Returns true when the engine had to give up on the queue
+    _onTrackUnplayable() {
+        this._consecutiveFailures++;
+        const anyPlayable = this.queue.some(t => this._sourceFor(t));
+        if (anyPlayable && this._consecutiveFailures < this.queue.length) return false;
 
-            if (outPlayer.gain && inPlayer.gain) {
-                outPlayer.gain.gain.value = fadeOut * grooveDip;
-                inPlayer.gain.gain.value = fadeIn * grooveDip;
-            } else {
-                outPlayer.audio.volume = fadeOut * this.currentVolume * grooveDip;
-                inPlayer.audio.volume = fadeIn * this.currentVolume * grooveDip;
-            }
+        this._enterFallback(anyPlayable ? 'repeatedFailures' : 'noPlayableTracks');
+        return true;
+    }
 
-            if (progress < 1) {
-                this.crossfadeRAF = requestAnimationFrame(doFade);
-            } else {
-                // Crossfade complete
-                outPlayer.audio.pause();
-                outPlayer.audio.currentTime = 0;
-                if (outPlayer.gain) outPlayer.gain.gain.value = 0;
+    _onStreamUnplayable(url) {
+        // A custom live stream fell over: the station stream can still carry on
+        if (this.liveStreamUrl && url !== this.fallbackStream) {
+            this.liveStreamUrl = null;
+            this._enterFallback('liveStreamFailed');
+            return;
+        }
+        this._enterFallback('fallbackFailed');
+    }
 
-                // Restore bass boost
-                if (this.bassBoost) {
-                    this.bassBoost.gain.value = originalBassGain;
-                }
+    _enterFallback(reason) {
+        clearTimeout(this._retryTimer);
+        this._retryState = null;
+        this._consecutiveFailures = 0;
 
-                this.activePlayer = inKey;
-                this.isCrossfading = false;
+        const fallback = this.fallbackStream && !this._isQuarantined(this.fallbackStream)
+            && reason !== 'fallbackFailed' ? this.fallbackStream : null;
+        this._setDegraded(true, reason, fallback);
 
-                this._updateCurrentTrack();
-                this._fireEvent('stateChange', { isPlaying: true, track: this.currentTrack });
+        if (!fallback) {
+            // Nothing left to play: stop cleanly instead of looping
+            this.stop();
+            this._fireEvent('error', { type: 'noSource', message: 'No playable source (queue and fallback stream failed)' });
+            return;
+        }
 
-                if (this.isTrackMode) {
-                    this._preloadNext();
+        this.isTrackMode = false;
+        this.liveTrack = null;
+        this._loadSource(this.activePlayer, fallback);
+        if (this.isPlaying) {
+            this.players[this.activePlayer].audio.play().catch(e => console.warn('[RadioEngine] Fallback play failed:', e));
+        }
+        this._updateCurrentTrack();
+        this._syncLiveMetadata();
+    }
+
+    /* ═══════════════════════════════════════════
+       DEAD-AIR WATCHDOG
+       While playing, checks the active deck every
+       second for a stall (buffering, or the clock
+       not moving) or silence on the analyser (an
+       upstream sending zeros). A problem that
+       outlasts its timeout escalates one step per
+       window: rebuffer → skip → fallback stream.
+       Every step, and the all-clear, is reported
+       as a 'deadAir' event.
+       ═══════════════════════════════════════════ */
+
+    _freshDeadAirState() {
+        return { level: 0, cause: null, since: null, bufferingSince: null, lastTime: null, healthySince: null };
+    }
+
+    _startWatchdog() {
+        if (!this.watchdog.enabled || this._watchdogTimer) return;
+        this._deadAir = this._freshDeadAirState();
+        this._watchdogTimer = setInterval(() => this._watchdogTick(), this.watchdog.interval);
+    }
+
+    _stopWatchdog() {
+        clearInterval(this._watchdogTimer);
+        this._watchdogTimer = null;
+        this._deadAir = this._freshDeadAirState();
+    }
+
+    _watchdogTick() {
+        const state = this._deadAir;
+        if (!this.isPlaying || this.isCrossfading) {
+            // Blends and pauses are never dead air; start clean afterwards
+            state.since = null;
+            state.lastTime = null;
+            return;
+        }
+
+        const now = Date.now();
+        const cause = this._detectDeadAir(now);
+
+        if (!cause) {
+            state.since = null;
+            state.cause = null;
+            if (state.level > 0) {
+                if (!state.healthySince) state.healthySince = now;
+                if (now - state.healthySince >= this.watchdog.recoverAfter) {
+                    this._fireEvent('deadAir', { step: 'recovered', cause: null, seconds: 0, level: state.level, track: this.currentTrack });
+                    state.level = 0;
+                    state.healthySince = null;
                 }
             }
-        };
+            return;
+        }
 
-        this.crossfadeRAF = requestAnimationFrame(doFade);
-    }
+        state.healthySince = null;
+        if (!state.since || state.cause !== cause) {
+            state.since = cause === 'stall' && state.bufferingSince ? state.bufferingSince : now;
+            state.cause = cause;
+        }
 
-    _startCrossfadeToNext() {
-        if (this.isCrossfading || !this.isTrackMode) return;
+        const limit = cause === 'stall' ? this.watchdog.stallTimeout : this.watchdog.silenceTimeout;
+        if (now - state.since < limit) return;
 
-        const nextIndex = (this.queueIndex + 1) % this.queue.length;
-        const nextTrack = this.queue[nextIndex];
-        if (!nextTrack) return;
+        const seconds = Math.round((now - state.since) / 100) / 10;
+        state.since = now; // the next step gets a full window of its own
+        state.bufferingSince = null;
+        this._escalateDeadAir(cause, seconds);
+    }
 
-        this.queueIndex = nextIndex;
-        this._advanceEnergyPhase();
-        this._crossfadeToSource(nextTrack.url);
+    // 'stall' | 'silence' | null
+    _detectDeadAir(now) {
+        const state = this._deadAir;
+        const audio = this.players[this.activePlayer].audio;
+
+        // Stall: buffering events, or a clock that hasn't moved since the last tick
+        const time = audio.currentTime;
+        const frozen = state.lastTime !== null && time === state.lastTime;
+        state.lastTime = time;
+        if (!frozen) state.bufferingSince = null;
+        if (frozen || (state.bufferingSince && now - state.bufferingSince > this.watchdog.interval)) return 'stall';
+
+        // Silence: measured post-mix on the analyser (muted decks are silent on purpose)
+        if (!this.analyser || this.isMuted) return null;
+        return this._measureRms() < this.watchdog.silenceThreshold ? 'silence' : null;
     }
 
-    /* ═══════════════════════════════════════════
-       PRELOADING
-       ═══════════════════════════════════════════ */
+    _escalateDeadAir(cause, seconds) {
+        const state = this._deadAir;
+        const onFallback = !this.isTrackMode && !this.liveStreamUrl;
 
-    _preloadNext() {
-        const nextSource = this._getNextSource();
-        if (!nextSource) return;
+        // Ladder: rebuffer → skip (track mode only) → fallback; on the fallback itself, keep rebuffering
+        let step;
+        if (state.level === 0 || onFallback) step = 'rebuffer';
+        else if (state.level === 1 && this.isTrackMode) step = 'skip';
+        else step = 'fallback';
 
-        const inactiveKey = this.activePlayer === 'A' ? 'B' : 'A';
-        const inactiveAudio = this.players[inactiveKey].audio;
+        state.level = Math.min(3, state.level + 1);
+        this._fireEvent('deadAir', { step, cause, seconds, level: state.level, track: this.currentTrack });
+        console.warn(`[RadioEngine] Dead air (${cause}, ${seconds}s): ${step}`);
 
-        if (inactiveAudio.src !== nextSource) {
-            inactiveAudio.src = nextSource;
-            inactiveAudio.load();
+        if (step === 'rebuffer') {
+            this._rebufferActive();
+        } else if (step === 'skip') {
+            this._advance();
+        } else {
+            this.liveStreamUrl = null;
+            this._enterFallback('deadAir');
         }
     }
 
-    _getCurrentSource() {
-        if (this.isTrackMode && this.queue.length > 0 && this.queueIndex >= 0) {
-            return this.queue[this.queueIndex]?.url || this.fallbackStream;
-        }
-        return this.fallbackStream;
+    _rebufferActive() {
+        const key = this.activePlayer;
+        const player = this.players[key];
+        if (!player.url) return;
+
+        // Reload in place; live streams simply rejoin at the live edge
+        const position = isFinite(player.audio.duration) ? player.audio.currentTime : 0;
+        this._loadSource(key, player.url, this._getQueuedTrack());
+        if (position > 0) this._seekWhenReady(key, position);
+        player.audio.play().catch(e => console.warn('[RadioEngine] Rebuffer play failed:', e));
     }
 
-    _getNextSource() {
-        if (!this.isTrackMode || this.queue.length === 0) return null;
-        const nextIndex = (this.queueIndex + 1) % this.queue.length;
-        return this.queue[nextIndex]?.url || null;
+    _setDegraded(isDegraded, reason = null, fallback = null) {
+        if (this.isDegraded === isDegraded) return;
+        this.isDegraded = isDegraded;
+
+        if (isDegraded) {
+            this._fireEvent('degraded', {
+                reason,
+                fallback,
+                quarantined: this.getQuarantined().map(q => q.url)
+            });
+        } else {
+            this._fireEvent('recovered', { isTrackMode: this.isTrackMode });
+        }
     }
 
     /* ═══════════════════════════════════════════
@@ -711,6 +2839,7 @@ class RadioEngine {
         } else {
             this.players[this.activePlayer].audio.volume = this.currentVolume;
         }
+        this._persistSession();
     }
 
     toggleMute() {
@@ -718,6 +2847,7 @@ class RadioEngine {
         for (const key of ['A', 'B']) {
             this.players[key].audio.muted = this.isMuted;
         }
+        this._persistSession();
         return this.isMuted;
     }
 
@@ -765,19 +2895,33 @@ class RadioEngine {
        INTERNAL HELPERS
        ═══════════════════════════════════════════ */
 
-    _loadSource(playerKey, url) {
+    _loadSource(playerKey, url, track = null) {
         if (!url) return;
         const audio = this.players[playerKey].audio;
+        this.players[playerKey].url = url; // as given; audio.src is resolved to absolute
         audio.src = url;
         audio.load();
+        this._applyTrackGain(playerKey, track);
+
+        // Skip to the cued start; later seeks (downbeat lock, resume) land after this one
+        const cueIn = this._getCuePoints(track).cueIn;
+        if (cueIn > 0) this._seekWhenReady(playerKey, cueIn);
+    }
+
+    _getQueuedTrack() {
+        if (!this.isTrackMode || this.queueIndex < 0) return null;
+        return this.queue[this.queueIndex] || null;
     }
 
     _updateCurrentTrack() {
         // Reset pre-buffer flag for the new track
         this._preBufferFired = false;
+        this._silentSince = null;
 
         if (this.isTrackMode && this.queue.length > 0 && this.queueIndex >= 0) {
             const track = this.queue[this.queueIndex];
+            this._recordPlayed(track);
+            this._recordHistoryPlay(track);
             this.currentTrack = {
                 ...track,
                 index: this.queueIndex,
@@ -785,21 +2929,231 @@ class RadioEngine {
                 phaseDescription: this._getPhaseDescription(this.energyPhase)
             };
         } else {
+            // Live/fallback stream: ICY now-playing when we have it, station card otherwise
+            const live = this.liveTrack;
             this.currentTrack = {
-                title: 'Amaradio Live',
-                artist: 'AI Radio',
+                title: (live && live.title) || 'Amaradio Live',
+                artist: (live && live.artist) || 'AI Radio',
                 genre: 'Blended',
-                isStream: true
+                isStream: true,
+                streamTitle: live ? live.streamTitle : null
             };
         }
         this._fireEvent('trackChange', this.currentTrack);
+        this._persistSession();
+    }
+
+    /* ═══════════════════════════════════════════
+       EVENTS
+       Each event reaches its on<Name> callback
+       property first, then every on() listener in
+       subscription order. A throwing listener is
+       logged and skipped; the rest still run.
+
+       trackChange       currentTrack — queue entry + { index, phase,
+                         phaseDescription }, or for streams { title,
+                         artist, genre, isStream, streamTitle }
+       stateChange       { isPlaying, track }
+       channelChange     { channel, name, genre, blend, isTrackMode }
+                         blend: [{ key, name, weight }] or null
+       timeUpdate        { currentTime, duration }
+       energyPhaseChange { from, to, profile, description }
+       preBuffer         { nextTrack, energyPhase, remainingSeconds, mixOutIn }
+       transition        { style, type, duration, from, to } — as a
+                         crossfade starts; duration in seconds
+       breakStart        { from, to } — an ad break holds the boundary
+       breakEnd          { from, to } — aired, skipped or stopped
+       queueChange       { action, queueIndex, queueLength, upcoming, ... }
+                         action: rebuild | advance | restore
+                                 | insert / remove { position, track }
+                                 | move { from, to, track } | jump { position }
+       trackAnalyzed     { track, result }
+       degraded          { reason, fallback, quarantined } — queue
+                         unplayable; fallback stream url or null.
+                         reason: noPlayableTracks | repeatedFailures |
+                                 liveStreamFailed | fallbackFailed | deadAir
+       recovered         { isTrackMode }
+       deadAir           { step, cause, seconds, level, track }
+                         step: rebuffer | skip | fallback | recovered
+                         cause: stall | silence (null on recovered)
+       sessionRestore    { channel, track, position, energyPhase,
+                           volume, isMuted, wasPlaying }
+       error             { type, message, ... } — type: audioContext |
+                         playback | noSource | queue | analysis |
+                         loudness | arcProfile | transitionStyle |
+                         liveMetadata | adBreak
+       ═══════════════════════════════════════════ */
+
+    // Returns an unsubscribe function
+    on(name, listener) {
+        if (typeof listener !== 'function') return () => { };
+        if (!this._listeners.has(name)) this._listeners.set(name, new Set());
+        this._listeners.get(name).add(listener);
+        return () => this.off(name, listener);
+    }
+
+    off(name, listener) {
+        const listeners = this._listeners.get(name);
+        if (!listeners) return;
+
+        // once() wrappers are removed by their original listener too
+        for (const registered of listeners) {
+            if (registered === listener || registered._original === listener) listeners.delete(registered);
+        }
+        if (listeners.size === 0) this._listeners.delete(name);
+    }
+
+    once(name, listener) {
+        const wrapper = (data) => {
+            this.off(name, wrapper);
+            listener(data);
+        };
+        wrapper._original = listener;
+        return this.on(name, wrapper);
     }
 
     _fireEvent(name, data) {
         const callbackName = 'on' + name.charAt(0).toUpperCase() + name.slice(1);
         if (typeof this[callbackName] === 'function') {
-            this[callbackName](data);
+            try {
+                this[callbackName](data);
+            } catch (e) {
+                console.warn(`[RadioEngine] ${callbackName} failed:`, e);
+            }
+        }
+
+        const listeners = this._listeners.get(name);
+        if (!listeners) return;
+        for (const listener of [...listeners]) { // copy: once() edits the set mid-loop
+            try {
+                listener(data);
+            } catch (e) {
+                console.warn(`[RadioEngine] "${name}" listener failed:`, e);
+            }
+        }
+    }
+
+    /* ═══════════════════════════════════════════
+       SESSION PERSISTENCE
+       Snapshot of queue, arc position, filter and
+       mixer state. restoreSession() puts the same
+       track back on the active deck a few seconds
+       before where it left off; the listener still
+       presses play (browsers block autoplay).
+       ═══════════════════════════════════════════ */
+
+    serializeState() {
+        return {
+            version: 1,
+            activeFilter: this.activeFilter,
+            arcProfile: this.arcProfile,
+            phaseIndex: this.phaseIndex,
+            tracksInPhase: this.tracksInPhase,
+            arcStartsNext: this.arcStartsNext,
+            queue: this.queue,
+            queueIndex: this.queueIndex,
+            position: this.isTrackMode ? this.currentTime : 0,
+            volume: this.currentVolume,
+            isMuted: this.isMuted,
+            wasPlaying: this.isPlaying,
+            recentlyPlayed: this.recentlyPlayed
+        };
+    }
+
+    restoreSession() {
+        const snapshot = this._pendingSnapshot;
+        this._pendingSnapshot = null;
+        if (!snapshot || snapshot.version !== 1 || !Array.isArray(snapshot.queue)) return false;
+
+        // Genre may have been dropped from the catalog since
+        if (snapshot.activeFilter !== 'all' && !this._normalizeBlend(snapshot.activeFilter)) return false;
+
+        // Re-link entries to the library so catalog edits (tags, urls) win
+        const saved = snapshot.queue[snapshot.queueIndex];
+        const queue = [];
+        let queueIndex = -1;
+        for (const entry of snapshot.queue) {
+            const restored = this._rehydrateEntry(entry);
+            if (!restored) continue;
+            if (entry === saved) queueIndex = queue.length;
+            queue.push(restored);
         }
+        if (queueIndex < 0) return false;
+
+        this.activeFilter = typeof snapshot.activeFilter === 'string'
+            ? snapshot.activeFilter
+            : this._normalizeBlend(snapshot.activeFilter);
+        this.currentGenreKey = typeof this.activeFilter === 'string' ? this.activeFilter : null;
+        if (this.arcProfiles[snapshot.arcProfile]) this.arcProfile = snapshot.arcProfile;
+
+        const phases = this._getArcPhases();
+        this.phaseIndex = Math.min(snapshot.phaseIndex || 0, phases.length - 1);
+        this.energyPhase = phases[this.phaseIndex].key;
+        this.tracksInPhase = snapshot.tracksInPhase || 0;
+        this.arcStartsNext = !!snapshot.arcStartsNext;
+
+        this.queue = queue;
+        this.queueIndex = queueIndex;
+        this.isTrackMode = true;
+        this.recentlyPlayed = Array.isArray(snapshot.recentlyPlayed) ? snapshot.recentlyPlayed : [];
+        this._lastPlayedEntry = this.queue[this.queueIndex]; // already counted last session
+        this._historyEntry = this._lastPlayedEntry;
+
+        if (typeof snapshot.volume === 'number') this.setVolume(snapshot.volume);
+        if (!!snapshot.isMuted !== this.isMuted) this.toggleMute();
+
+        this._loadSource(this.activePlayer, this._getCurrentSource(), this._getQueuedTrack());
+        const resumeAt = Math.max(0, (snapshot.position || 0) - this.resumeRewind);
+        if (resumeAt > 0) this._seekWhenReady(this.activePlayer, resumeAt);
+
+        this._updateCurrentTrack();
+        this._emitQueueChange('restore');
+
+        this._fireEvent('sessionRestore', {
+            channel: this.activeFilter,
+            track: this.currentTrack,
+            position: resumeAt,
+            energyPhase: this.energyPhase,
+            volume: this.currentVolume,
+            isMuted: this.isMuted,
+            wasPlaying: !!snapshot.wasPlaying
+        });
+        return true;
+    }
+
+    _rehydrateEntry(entry) {
+        if (!entry) return null;
+        if (entry.isManual) return entry.url ? entry : null;
+
+        const id = this._trackId(entry);
+        const track = this.masterLibrary.find(t => this._trackId(t) === id);
+        return track ? { ...track, phase: entry.phase } : null;
+    }
+
+    _seekWhenReady(playerKey, seconds) {
+        const audio = this.players[playerKey].audio;
+        const src = audio.src;
+
+        const seek = () => {
+            // Deck moved on, or this is a live stream with nothing to seek
+            if (audio.src !== src || !isFinite(audio.duration)) return;
+            try {
+                // Never land inside the crossfade window
+                const latest = Math.max(0, audio.duration - this.crossfadeDuration - 1);
+                audio.currentTime = Math.min(seconds, latest);
+            } catch (e) {
+                console.warn('[RadioEngine] Resume seek failed:', e);
+            }
+        };
+
+        if (audio.readyState >= 1) seek();
+        else audio.addEventListener('loadedmetadata', seek, { once: true });
+    }
+
+    _persistSession() {
+        if (!this.session) return;
+        this._lastSessionSave = Date.now();
+        this.session.save('engine', this.serializeState());
     }
 
     /* ═══════════════════════════════════════════
@@ -815,6 +3169,7 @@ class RadioEngine {
             currentTrack: this.currentTrack,
             activeFilter: this.activeFilter,
             energyPhase: this.energyPhase,
+            arcProfile: this.arcProfile,
             queueIndex: this.queueIndex,
             queueLength: this.queue.length,
             volume: this.currentVolume,
@@ -838,6 +3193,9 @@ class RadioEngine {
     }
 }
 
+// Highpass this low passes everything audible: the "open" position of a deck's low-cut
+RadioEngine.LOW_CUT_OPEN = 10;
+
 // Export for module usage or attach to window
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = RadioEngine;
@@ -0,0 +1,91 @@
+/* ═══════════════════════════════════════════
+   AMARADIO — Session Store v1.0
+   Resume-after-reload persistence
+
+   • Pluggable Storage-like backend
+   • localStorage by default, memory fallback
+   • JSON snapshots with age-out
+   ═══════════════════════════════════════════ */
+
+/* ─── MEMORY BACKEND (no persistence, same interface as Storage) ─── */
+class MemoryBackend {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+/* ─── SESSION STORE ─── */
+class SessionStore {
+    constructor(options = {}) {
+        // Any object with getItem / setItem / removeItem works as a backend
+        this.backend = options.backend || SessionStore.defaultBackend();
+        this.namespace = options.namespace || 'amaradio:session:';
+        this.maxAge = options.maxAge || 24 * 60 * 60 * 1000; // stale sessions start fresh
+    }
+
+    static defaultBackend() {
+        try {
+            if (typeof localStorage !== 'undefined') {
+                // Probe: Safari private mode exposes localStorage but throws on write
+                localStorage.setItem('amaradio:probe', '1');
+                localStorage.removeItem('amaradio:probe');
+                return localStorage;
+            }
+        } catch (e) {
+            console.warn('[SessionStore] localStorage unavailable, using memory:', e);
+        }
+        return new MemoryBackend();
+    }
+
+    save(key, data) {
+        try {
+            this.backend.setItem(this.namespace + key, JSON.stringify({ savedAt: Date.now(), data }));
+            return true;
+        } catch (e) {
+            console.warn(`[SessionStore] Save "${key}" failed:`, e);
+            return false;
+        }
+    }
+
+    load(key) {
+        try {
+            const raw = this.backend.getItem(this.namespace + key);
+            if (!raw) return null;
+
+            const { savedAt, data } = JSON.parse(raw);
+            if (!savedAt || Date.now() - savedAt > this.maxAge) {
+                this.clear(key);
+                return null;
+            }
+            return data;
+        } catch (e) {
+            console.warn(`[SessionStore] Load "${key}" failed:`, e);
+            return null;
+        }
+    }
+
+    clear(key) {
+        try { this.backend.removeItem(this.namespace + key); }
+        catch (e) { /* silently fail */ }
+    }
+}
+
+/* ─── EXPORT ─── */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SessionStore, MemoryBackend };
+} else {
+    window.SessionStore = SessionStore;
+    window.MemoryBackend = MemoryBackend;
+}
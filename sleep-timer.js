@@ -0,0 +1,255 @@
+/* ═══════════════════════════════════════════
+   AMARADIO — Sleep Timer v1.0
+   Let the station see you out
+
+   • After a duration, or at the end of the
+     current track (its mix-out point)
+   • Energy arc steered into a wind-down profile
+     as the deadline approaches
+   • DJ sign-off, then master fade, then stop()
+
+   The fade waits for the sign-off to finish:
+   the injector's unduck would otherwise ramp
+   the master back up mid-fade.
+   ═══════════════════════════════════════════ */
+
+class SleepTimer {
+    constructor(radioEngine, options = {}) {
+        this.engine = radioEngine;
+        this.dj = options.dj || null;   // StreamController, for the sign-off
+
+        // ─── Configuration ───
+        this.windDownProfile = options.windDownProfile || 'windDown';
+        this.windDownLead = options.windDownLead || 10 * 60;  // seconds before the deadline
+        this.signOffLead = options.signOffLead || 25;         // seconds before the deadline
+        this.fadeDuration = options.fadeDuration || 12;       // seconds of master fade
+
+        // ─── State ───
+        this.state = 'idle';         // 'idle' | 'armed' | 'windDown' | 'signOff' | 'fading'
+        this.mode = null;            // 'duration' | 'endOfTrack'
+        this.deadline = null;        // ms since epoch; endOfTrack follows the playhead
+        this._timer = null;
+        this._fadeTimer = null;
+        this._fadeInterval = null;
+        this._restoreProfile = null; // arc profile to put back afterwards
+        this._restoreGain = null;
+        this._stopping = false;
+
+        // ─── Callbacks ───
+        this.onStateChange = null;   // ({ state, mode, remaining })
+        this.onTick = null;          // ({ remaining }) every second while armed
+
+        this._unsubscribe = [
+            radioEngine.on('timeUpdate', (data) => this._onTimeUpdate(data)),
+            radioEngine.on('stateChange', ({ isPlaying, track }) => {
+                // Stopped by hand: nothing left to put to sleep
+                if (!isPlaying && !track && !this._stopping && this.isActive) this.cancel();
+            })
+        ];
+    }
+
+    get isActive() {
+        return this.state !== 'idle';
+    }
+
+    // Seconds left, or null when idle / waiting on the playhead
+    get remaining() {
+        if (!this.isActive || this.deadline === null) return null;
+        return Math.max(0, (this.deadline - Date.now()) / 1000);
+    }
+
+    /* ═══════════════════════════════════════════
+       PUBLIC API
+       ═══════════════════════════════════════════ */
+
+    // minutes: a number, or 'endOfTrack'
+    set(minutes) {
+        this.cancel();
+
+        if (minutes === 'endOfTrack') {
+            const track = this.engine.currentTrack;
+            if (!this.engine.isTrackMode || (track && track.isStream)) return false; // a stream has no end
+            this.mode = 'endOfTrack';
+            this.deadline = null; // fixed by the next timeUpdate
+            this._onTimeUpdate(this._playhead());
+        } else {
+            if (!(minutes > 0)) return false;
+            this.mode = 'duration';
+            this.deadline = Date.now() + minutes * 60 * 1000;
+        }
+
+        this._timer = setInterval(() => this._tick(), 1000);
+        this._setState('armed');
+        this._tick();
+        return true;
+    }
+
+    cancel() {
+        if (!this.isActive) return false;
+
+        clearInterval(this._timer);
+        clearTimeout(this._fadeTimer);
+        clearInterval(this._fadeInterval);
+        this._timer = null;
+
+        this._restoreMaster();
+        this._restoreArc();
+        if (this.dj) this.dj.endSignOff();
+
+        this.mode = null;
+        this.deadline = null;
+        this._setState('idle');
+        return true;
+    }
+
+    destroy() {
+        this.cancel();
+        for (const unsubscribe of this._unsubscribe) unsubscribe();
+        this._unsubscribe = [];
+    }
+
+    /* ═══════════════════════════════════════════
+       COUNTDOWN
+       ═══════════════════════════════════════════ */
+
+    _tick() {
+        // Paused: the end of the track isn't getting any closer
+        if (this.mode === 'endOfTrack' && !this.engine.isPlaying) return;
+
+        const remaining = this.remaining;
+        if (remaining === null) return;
+        if (typeof this.onTick === 'function') this.onTick({ remaining });
+
+        if (this.state === 'armed' && this.mode === 'duration' && remaining <= this.windDownLead) {
+            this._windDown();
+        }
+        if ((this.state === 'armed' || this.state === 'windDown') && remaining <= this.signOffLead) {
+            this._signOff();
+        }
+    }
+
+    _onTimeUpdate({ currentTime, duration }) {
+        if (this.mode !== 'endOfTrack' || this.state === 'fading' || !(duration > 0)) return;
+
+        // Deadline = the current track's mix-out point, before the next one blends in
+        const engine = this.engine;
+        const nextTrack = engine.queue[(engine.queueIndex + 1) % engine.queue.length];
+        const mixOutAt = engine._getMixOutPoint(engine.currentTrack, nextTrack, duration);
+        const rate = engine.players[engine.activePlayer].audio.playbackRate || 1;
+        this.deadline = Date.now() + Math.max(0, mixOutAt - currentTime) / rate * 1000;
+    }
+
+    _playhead() {
+        const audio = this.engine.players[this.engine.activePlayer].audio;
+        return { currentTime: audio.currentTime, duration: audio.duration || 0 };
+    }
+
+    // Rebuild what follows the current track on a descending arc
+    _windDown() {
+        this._setState('windDown');
+        const engine = this.engine;
+        if (!engine.arcProfiles[this.windDownProfile] || engine.arcProfile === this.windDownProfile) return;
+
+        this._restoreProfile = engine.arcProfile;
+        engine.setArcProfile(this.windDownProfile);
+    }
+
+    _signOff() {
+        this._setState('signOff');
+        if (this.dj) this.dj.speakSignOff(() => this._fadeOut());
+        else this._fadeOut();
+    }
+
+    /* ═══════════════════════════════════════════
+       FADE & STOP
+       ═══════════════════════════════════════════ */
+
+    _fadeOut() {
+        if (this.state !== 'signOff') return; // cancelled while the DJ was talking
+
+        // Fade lands on the deadline, or starts right away if the sign-off ran long
+        const wait = Math.max(0, (this.remaining || 0) - this.fadeDuration) * 1000;
+        this._fadeTimer = setTimeout(() => this._startFade(), wait);
+    }
+
+    _startFade() {
+        this._setState('fading');
+        clearInterval(this._timer);
+
+        const engine = this.engine;
+        const seconds = this.fadeDuration;
+
+        try {
+            if (engine.masterGain && engine.audioContext) {
+                const gain = engine.masterGain.gain;
+                const now = engine.audioContext.currentTime;
+                this._restoreGain = engine.currentVolume; // gain may still be mid-unduck
+                gain.cancelScheduledValues(now);
+                gain.setValueAtTime(gain.value, now);
+                gain.linearRampToValueAtTime(0, now + seconds);
+            } else {
+                // No Web Audio: step the element volume down instead
+                const start = engine.currentVolume;
+                const startedAt = Date.now();
+                this._restoreGain = start;
+                this._fadeInterval = setInterval(() => {
+                    const progress = Math.min(1, (Date.now() - startedAt) / (seconds * 1000));
+                    engine.players[engine.activePlayer].audio.volume = start * (1 - progress);
+                    if (progress >= 1) clearInterval(this._fadeInterval);
+                }, 100);
+            }
+        } catch (e) {
+            console.warn('[SleepTimer] Fade failed:', e);
+        }
+
+        this._fadeTimer = setTimeout(() => this._finish(), seconds * 1000);
+    }
+
+    _finish() {
+        this._stopping = true;
+        this.engine.stop();
+        this._stopping = false;
+
+        // Next play starts at the listener's volume, on the arc they had
+        this.cancel();
+    }
+
+    _restoreMaster() {
+        if (this._restoreGain === null) return;
+        const engine = this.engine;
+
+        try {
+            if (engine.masterGain && engine.audioContext) {
+                const gain = engine.masterGain.gain;
+                gain.cancelScheduledValues(engine.audioContext.currentTime);
+                gain.value = this._restoreGain;
+            } else {
+                engine.players[engine.activePlayer].audio.volume = this._restoreGain;
+            }
+        } catch (e) {
+            console.warn('[SleepTimer] Volume restore failed:', e);
+        }
+        this._restoreGain = null;
+    }
+
+    _restoreArc() {
+        if (this._restoreProfile && this.engine.arcProfile === this.windDownProfile) {
+            this.engine.setArcProfile(this._restoreProfile);
+        }
+        this._restoreProfile = null;
+    }
+
+    _setState(state) {
+        this.state = state;
+        if (typeof this.onStateChange === 'function') {
+            this.onStateChange({ state, mode: this.mode, remaining: this.remaining });
+        }
+    }
+}
+
+/* ─── EXPORT ─── */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SleepTimer;
+} else {
+    window.SleepTimer = SleepTimer;
+}
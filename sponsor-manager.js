@@ -0,0 +1,624 @@
+/* ═══════════════════════════════════════════
+   AMARADIO — Sponsor Manager v1.0
+   Campaigns, ad breaks and proof of airing
+
+   • Campaigns with flight dates, hourly / daily
+     frequency caps and rotation weights
+   • Pre-recorded audio spots, or DJ reads for
+     campaigns without one
+   • Ad breaks at track boundaries (the engine's
+     break handler) every N tracks
+   • Talk-up sponsor lines for ScriptGenerator
+   • Impression log: CSV / JSON, per-campaign report
+
+   Only what airs is logged: spots once they start
+   playing, reads once the voice starts. Wire
+   AudioInjector.onSpeakStart to noteSpoken().
+   Storage keeps one bucket per day for logDays
+   days, so only today's is rewritten as spots
+   air; exports carry loggedSince, from when the
+   stored log is complete.
+   ═══════════════════════════════════════════ */
+
+class SponsorManager {
+    constructor(radioEngine, options = {}) {
+        this.engine = radioEngine;
+        this.dj = options.dj || null; // StreamController, for reads in breaks
+
+        // ─── Configuration ───
+        this.breakEvery = options.breakEvery || 4;          // tracks between breaks
+        this.minBreakGap = options.minBreakGap !== undefined ? options.minBreakGap : 15 * 60; // seconds
+        this.spotsPerBreak = options.spotsPerBreak || 2;    // distinct campaigns per break
+        this.maxSpotLength = options.maxSpotLength || 90;   // seconds before a spot is cut
+        this.volume = options.volume !== undefined ? options.volume : 1;
+        this.maxImpressions = options.maxImpressions || 20000; // oldest drop off past this
+        this.logDays = options.logDays || 31;               // days of impressions kept in storage
+        this.stationName = options.stationName || 'Amaradio';
+        this.filenamePrefix = options.filenamePrefix || 'amaradio-impressions';
+        // Delivery has to survive reloads, or the daily caps reset with every visit
+        this.store = options.store !== undefined ? options.store
+            : (typeof SessionStore !== 'undefined'
+                ? new SessionStore({ namespace: 'amaradio:sponsors:', maxAge: Infinity })
+                : null);
+
+        // ─── State ───
+        this.campaigns = [];
+        this.impressions = [];       // oldest first
+        this.tracksSinceBreak = 0;
+        this.lastBreakAt = 0;
+        this.inBreak = false;
+        this._pendingReads = [];     // { text, campaignId, placement } picked, not yet spoken
+        this._spotRotation = new Map(); // campaign id → index of the next spot
+        this._nextImpressionId = 1;
+        this._days = [];             // stored day buckets, oldest first
+        this.loggedSince = Date.now(); // the stored log is complete from here on
+        this._abort = null;          // ends the break in progress
+        this._finishSpot = null;     // settles the spot on air
+
+        this.audio = new Audio();
+        this.audio.crossOrigin = 'anonymous';
+        this.audio.preload = 'auto';
+        this.source = null;
+        this.gain = null;
+
+        // ─── Callbacks ───
+        this.onImpression = null;    // (impression) as each read or spot airs
+        this.onBreakStart = null;    // ({ breakId, items })
+        this.onBreakEnd = null;      // ({ breakId, aired })
+        this.onError = null;         // ({ type, message })
+
+        for (const campaign of options.campaigns || []) this.addCampaign(campaign);
+        this._load();
+
+        this._unsubscribe = [
+            radioEngine.on('transition', ({ to }) => { if (to && !to.isStream) this.tracksSinceBreak++; }),
+            // toggleMute() only reaches the music decks
+            radioEngine.on('timeUpdate', () => { this.audio.muted = radioEngine.isMuted; })
+        ];
+        radioEngine.setBreakHandler(this);
+    }
+
+    /* ═══════════════════════════════════════════
+       CAMPAIGNS
+       { id, sponsor, start, end, hourlyCap,
+       dailyCap, weight, reads, spots, placements }
+       start / end: dates ('YYYY-MM-DD' runs to the
+       end of that day); omit for open-ended.
+       Caps: impressions per rolling hour / calendar
+       day; omit for none. reads: lines for the DJ
+       (default "Powered by <sponsor>."). spots:
+       [{ url, gainDb }], rotated in order.
+       placements: 'break' and/or 'talkUp'.
+       ═══════════════════════════════════════════ */
+
+    addCampaign(campaign) {
+        try {
+            const normalized = this._normalizeCampaign(campaign);
+            this.campaigns = this.campaigns.filter(c => c.id !== normalized.id);
+            this.campaigns.push(normalized);
+            return true;
+        } catch (e) {
+            this._emitError('campaign', `Campaign "${campaign && (campaign.id || campaign.sponsor)}" rejected: ${e.message}`);
+            return false;
+        }
+    }
+
+    removeCampaign(id) {
+        const before = this.campaigns.length;
+        this.campaigns = this.campaigns.filter(c => c.id !== id);
+        return this.campaigns.length < before;
+    }
+
+    getCampaign(id) {
+        return this.campaigns.find(c => c.id === id) || null;
+    }
+
+    // In flight and under both caps at `date`
+    getActiveCampaigns(date = new Date()) {
+        return this.campaigns.filter(c => this._isEligible(c, date));
+    }
+
+    // Impressions so far: { hour, day, total }
+    getDelivery(campaignId, date = new Date()) {
+        const hourAgo = date.getTime() - 60 * 60 * 1000;
+        const midnight = new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+        const delivery = { hour: 0, day: 0, total: 0 };
+        for (const impression of this.impressions) {
+            if (impression.campaignId !== campaignId) continue;
+            delivery.total++;
+            if (impression.airedAt >= midnight) delivery.day++;
+            if (impression.airedAt > hourAgo) delivery.hour++;
+        }
+        return delivery;
+    }
+
+    /* ═══════════════════════════════════════════
+       TALK-UP READS
+       ═══════════════════════════════════════════ */
+
+    // A sponsor line for the DJ, or null when nothing's eligible.
+    // Logged only if it's actually spoken (noteSpoken).
+    pickRead(placement = 'talkUp') {
+        const campaign = this._pickCampaigns(placement, 1)[0];
+        if (!campaign) return null;
+
+        const text = campaign.reads[Math.floor(Math.random() * campaign.reads.length)];
+        this._pendingReads.push({ text, campaignId: campaign.id, placement });
+        // Talk-ups that never aired (replaced, muted, skipped) just age out
+        if (this._pendingReads.length > 20) this._pendingReads.shift();
+        return text;
+    }
+
+    // Wire to AudioInjector.onSpeakStart: logs the pending read the voice carries
+    // (the latest, so a break read wins over an unaired talk-up with the same line)
+    noteSpoken(text) {
+        if (!text) return;
+        for (let i = this._pendingReads.length - 1; i >= 0; i--) {
+            const read = this._pendingReads[i];
+            if (!text.includes(read.text)) continue;
+
+            this._pendingReads.splice(i, 1);
+            const campaign = this.getCampaign(read.campaignId);
+            if (campaign) this._log(campaign, { ...read, kind: 'read', completed: true });
+            return;
+        }
+    }
+
+    /* ═══════════════════════════════════════════
+       AD BREAKS (RadioEngine break handler)
+       ═══════════════════════════════════════════ */
+
+    isDue() {
+        if (this.tracksSinceBreak < this.breakEvery) return false;
+        if (Date.now() - this.lastBreakAt < this.minBreakGap * 1000) return false;
+        return this._pickCampaigns('break', 1).length > 0;
+    }
+
+    async play({ from, to } = {}) {
+        const items = this._pickCampaigns('break', this.spotsPerBreak);
+        const breakId = Date.now(); // unique across reloads, unlike a counter
+        let aborted = false;
+        let aired = 0;
+
+        this.inBreak = true;
+        this._abort = () => { aborted = true; };
+        this.tracksSinceBreak = 0;
+        this.lastBreakAt = Date.now();
+        if (typeof this.onBreakStart === 'function') {
+            this.onBreakStart({ breakId, items: items.map(c => ({ id: c.id, sponsor: c.sponsor })) });
+        }
+
+        const context = { breakId, trackBefore: from || null, trackAfter: to || null };
+        for (const campaign of items) {
+            if (aborted) break;
+            const ok = campaign.spots.length > 0
+                ? await this._playSpot(campaign, context)
+                : await this._playRead(campaign, context);
+            if (ok) aired++;
+        }
+
+        this.inBreak = false;
+        this._abort = null;
+        if (typeof this.onBreakEnd === 'function') this.onBreakEnd({ breakId, aired });
+    }
+
+    abort() {
+        if (this._abort) this._abort();
+        this.audio.pause();
+        if (this._finishSpot) this._finishSpot(false);
+        if (this.inBreak && this.dj) this.dj.voiceSynth.cancel(); // its onEnd settles _playRead
+    }
+
+    // Resolves true if the spot went to air
+    _playSpot(campaign, context) {
+        const index = this._spotRotation.get(campaign.id) || 0;
+        const spot = campaign.spots[index % campaign.spots.length];
+        this._spotRotation.set(campaign.id, index + 1);
+
+        this._connect();
+        const level = this.volume * Math.pow(10, (spot.gainDb || 0) / 20);
+        if (this.gain) this.gain.gain.value = level;
+        else this.audio.volume = Math.min(1, level * this.engine.currentVolume);
+        this.audio.muted = this.engine.isMuted;
+        this.audio.src = spot.url;
+
+        return new Promise(resolve => {
+            let impression = null;
+            let startedAt = null;
+            const cutTimer = setTimeout(() => finish(false), this.maxSpotLength * 1000);
+
+            const onPlaying = () => {
+                if (impression) return;
+                startedAt = Date.now();
+                impression = this._log(campaign, {
+                    kind: 'spot', placement: 'break', spot: spot.url,
+                    breakId: context.breakId,
+                    trackBefore: context.trackBefore, trackAfter: context.trackAfter
+                });
+            };
+            const onEnded = () => finish(true);
+            const onError = () => {
+                this._emitError('spot', `Spot for "${campaign.sponsor}" failed to load (${spot.url})`);
+                finish(false);
+            };
+
+            // completed: played to the end (false: cut, skipped or failed mid-spot)
+            const finish = (completed) => {
+                clearTimeout(cutTimer);
+                this.audio.removeEventListener('playing', onPlaying);
+                this.audio.removeEventListener('ended', onEnded);
+                this.audio.removeEventListener('error', onError);
+                this._finishSpot = null;
+                if (!completed) this.audio.pause();
+                if (impression) {
+                    impression.duration = (Date.now() - startedAt) / 1000;
+                    impression.completed = completed;
+                    this._save(impression.airedAt);
+                }
+                resolve(!!impression);
+            };
+
+            this._finishSpot = finish;
+            this.audio.addEventListener('playing', onPlaying);
+            this.audio.addEventListener('ended', onEnded);
+            this.audio.addEventListener('error', onError);
+            this.audio.play().catch(e => {
+                if (e.name !== 'AbortError') this._emitError('spot', `Spot for "${campaign.sponsor}" failed: ${e.message}`);
+                finish(false);
+            });
+        });
+    }
+
+    // Resolves true if the DJ voiced it (logged through noteSpoken)
+    _playRead(campaign, context) {
+        if (!this.dj) return Promise.resolve(false);
+
+        const text = campaign.reads[Math.floor(Math.random() * campaign.reads.length)];
+        this._pendingReads.push({ text, campaignId: campaign.id, placement: 'break', ...context });
+        const before = this.impressions.length;
+
+        return new Promise(resolve => {
+            this.dj.speakRead(text, () => {
+                // Not spoken (DJ off, no voice): drop it rather than log it later
+                this._pendingReads = this._pendingReads.filter(read => read.text !== text || read.breakId !== context.breakId);
+                resolve(this.impressions.length > before);
+            });
+        });
+    }
+
+    _connect() {
+        const engine = this.engine;
+        if (this.source || !engine.audioContext || !engine.masterGain) return;
+
+        try {
+            this.source = engine.audioContext.createMediaElementSource(this.audio);
+            this.gain = engine.audioContext.createGain();
+            this.source.connect(this.gain);
+            this.gain.connect(engine.masterGain);
+        } catch (e) {
+            console.warn('[SponsorManager] Failed to connect to the audio graph:', e);
+            this.source = null;
+            this.gain = null;
+        }
+    }
+
+    /* ═══════════════════════════════════════════
+       IMPRESSIONS & EXPORT
+       All take { since, until, campaignId };
+       since / until are ms or Dates.
+       ═══════════════════════════════════════════ */
+
+    getImpressions(options = {}) {
+        const since = options.since ? +options.since : 0;
+        const until = options.until ? +options.until : Infinity;
+        return this.impressions.filter(impression =>
+            impression.airedAt >= since && impression.airedAt <= until
+            && (!options.campaignId || impression.campaignId === options.campaignId)
+        );
+    }
+
+    // Per-campaign delivery: [{ campaignId, sponsor, impressions, spots, reads,
+    // breakImpressions, talkUpImpressions, completedSpots, airtime }]
+    getReport(options = {}) {
+        const rows = new Map();
+        for (const impression of this.getImpressions(options)) {
+            let row = rows.get(impression.campaignId);
+            if (!row) {
+                row = {
+                    campaignId: impression.campaignId, sponsor: impression.sponsor,
+                    impressions: 0, spots: 0, reads: 0, breakImpressions: 0, talkUpImpressions: 0,
+                    completedSpots: 0, airtime: 0, firstAiredAt: impression.airedAt, lastAiredAt: impression.airedAt
+                };
+                rows.set(impression.campaignId, row);
+            }
+            row.impressions++;
+            if (impression.kind === 'spot') row.spots++;
+            else row.reads++;
+            if (impression.placement === 'break') row.breakImpressions++;
+            else row.talkUpImpressions++;
+            if (impression.kind === 'spot' && impression.completed) row.completedSpots++;
+            row.airtime += impression.duration || 0;
+            row.lastAiredAt = impression.airedAt;
+        }
+        return [...rows.values()].sort((a, b) => b.impressions - a.impressions);
+    }
+
+    toJSON(options = {}) {
+        return {
+            station: this.stationName,
+            exportedAt: new Date().toISOString(),
+            loggedSince: new Date(this.loggedSince).toISOString(), // nothing earlier survives in storage
+            summary: this.getReport(options).map(row => ({
+                ...row,
+                firstAiredAt: new Date(row.firstAiredAt).toISOString(),
+                lastAiredAt: new Date(row.lastAiredAt).toISOString()
+            })),
+            impressions: this.getImpressions(options).map(impression => ({
+                ...impression,
+                airedAt: new Date(impression.airedAt).toISOString()
+            }))
+        };
+    }
+
+    toCSV(options = {}) {
+        const columns = ['id', 'airedAt', 'campaignId', 'sponsor', 'kind', 'placement', 'breakId',
+            'spot', 'text', 'duration', 'completed', 'trackBefore', 'trackAfter'];
+        const lines = [columns.join(',')];
+        for (const impression of this.getImpressions(options)) {
+            lines.push(columns.map(column => {
+                const value = column === 'airedAt' ? new Date(impression.airedAt).toISOString() : impression[column];
+                return SponsorManager._csvField(value);
+            }).join(','));
+        }
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    // format: 'csv' | 'json'
+    download(format = 'csv', options = {}) {
+        if (typeof document === 'undefined') return false;
+
+        const body = format === 'json' ? JSON.stringify(this.toJSON(options), null, 2) : this.toCSV(options);
+        const type = format === 'json' ? 'application/json' : 'text/csv';
+        const stamp = new Date().toISOString().slice(0, 16).replace(/[:T]/g, '-');
+        const filename = options.filename || `${this.filenamePrefix}-${stamp}.${format}`;
+
+        const url = URL.createObjectURL(new Blob([body], { type: `${type};charset=utf-8` }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 10000);
+        return true;
+    }
+
+    clearImpressions() {
+        this.impressions = [];
+        if (this.store) for (const day of this._days) this.store.clear(`impressions:${day}`);
+        this._days = [];
+        this.loggedSince = Date.now();
+        this._save();
+    }
+
+    destroy() {
+        this.abort();
+        for (const unsubscribe of this._unsubscribe) unsubscribe();
+        this._unsubscribe = [];
+        if (this.engine.breakHandler === this) this.engine.setBreakHandler(null);
+    }
+
+    /* ═══════════════════════════════════════════
+       HELPERS
+       ═══════════════════════════════════════════ */
+
+    _normalizeCampaign(campaign) {
+        if (!campaign || !campaign.sponsor) throw new Error('Campaigns need a sponsor');
+
+        const start = SponsorManager._parseDate(campaign.start, false);
+        const end = SponsorManager._parseDate(campaign.end, true);
+        if (start === undefined || end === undefined) throw new Error('Flight dates must be YYYY-MM-DD or a Date');
+        if (start !== null && end !== null && end <= start) throw new Error('Flight ends before it starts');
+
+        for (const cap of ['hourlyCap', 'dailyCap']) {
+            const value = campaign[cap];
+            if (value !== undefined && value !== null && !(Number.isInteger(value) && value >= 0)) {
+                throw new Error(`${cap} must be a whole number`);
+            }
+        }
+
+        const spots = [].concat(campaign.spots || []).filter(spot => spot && typeof spot.url === 'string' && spot.url);
+        const reads = [].concat(campaign.reads || campaign.read || []).filter(read => typeof read === 'string' && read.trim());
+        if (reads.length === 0) reads.push(`Powered by ${campaign.sponsor}.`);
+
+        return {
+            ...campaign,
+            id: campaign.id || String(campaign.sponsor).toLowerCase().replace(/[^a-z0-9]+/g, '-'),
+            startsAt: start,
+            endsAt: end,
+            hourlyCap: campaign.hourlyCap !== undefined ? campaign.hourlyCap : null,
+            dailyCap: campaign.dailyCap !== undefined ? campaign.dailyCap : null,
+            weight: campaign.weight > 0 ? campaign.weight : 1,
+            reads,
+            spots,
+            placements: [].concat(campaign.placements || ['break', 'talkUp'])
+        };
+    }
+
+    _isEligible(campaign, date = new Date()) {
+        const time = date.getTime();
+        if (campaign.startsAt !== null && time < campaign.startsAt) return false;
+        if (campaign.endsAt !== null && time >= campaign.endsAt) return false;
+
+        const delivery = this.getDelivery(campaign.id, date);
+        if (campaign.hourlyCap !== null && delivery.hour >= campaign.hourlyCap) return false;
+        if (campaign.dailyCap !== null && delivery.day >= campaign.dailyCap) return false;
+        return true;
+    }
+
+    // Up to `count` distinct campaigns, weighted, without replacement.
+    // Breaks need something to air: a spot, or a DJ to read.
+    _pickCampaigns(placement, count) {
+        let pool = this.getActiveCampaigns().filter(c => c.placements.includes(placement));
+        if (placement === 'break') pool = pool.filter(c => c.spots.length > 0 || (this.dj && this.dj.enabled));
+
+        const picked = [];
+        while (picked.length < count && pool.length > 0) {
+            const total = pool.reduce((sum, c) => sum + c.weight, 0);
+            let roll = Math.random() * total;
+            const index = pool.findIndex(c => (roll -= c.weight) < 0);
+            picked.push(...pool.splice(index === -1 ? pool.length - 1 : index, 1));
+        }
+        return picked;
+    }
+
+    _log(campaign, details) {
+        const impression = {
+            id: this._nextImpressionId++,
+            campaignId: campaign.id,
+            sponsor: campaign.sponsor,
+            kind: details.kind,
+            placement: details.placement,
+            breakId: details.breakId || null,
+            spot: details.spot || null,
+            text: details.text || null,
+            airedAt: Date.now(),
+            duration: null,          // seconds; spots fill it in when they finish
+            completed: details.completed !== undefined ? details.completed : null,
+            trackBefore: details.trackBefore ? SponsorManager._trackLabel(details.trackBefore) : null,
+            trackAfter: details.trackAfter ? SponsorManager._trackLabel(details.trackAfter) : null
+        };
+
+        this.impressions.push(impression);
+        if (this.impressions.length > this.maxImpressions) {
+            this.impressions.splice(0, this.impressions.length - this.maxImpressions);
+        }
+        this._save(impression.airedAt);
+
+        if (typeof this.onImpression === 'function') {
+            try { this.onImpression(impression); }
+            catch (e) { console.warn('[SponsorManager] onImpression failed:', e); }
+        }
+        return impression;
+    }
+
+    /* ─── Storage: an index plus one bucket per local day ─── */
+
+    _load() {
+        if (!this.store) return;
+        const index = this.store.load('log');
+        if (index && Array.isArray(index.days)) {
+            this._days = index.days.filter(day => typeof day === 'string');
+            if (typeof index.loggedSince === 'number') this.loggedSince = index.loggedSince;
+            for (const day of this._days) {
+                const bucket = this.store.load(`impressions:${day}`);
+                if (Array.isArray(bucket)) this.impressions.push(...bucket.filter(impression => impression && impression.campaignId));
+            }
+            this._nextImpressionId = index.nextId || 1;
+        } else {
+            // A single-key log from an older version moves into day buckets
+            const legacy = this.store.load('impressions');
+            const list = Array.isArray(legacy) ? legacy : (legacy && legacy.impressions);
+            if (!Array.isArray(list)) return;
+            this.impressions = list.filter(impression => impression && impression.campaignId);
+            this.store.clear('impressions');
+            if (this.impressions.length > 0) this.loggedSince = this.impressions[0].airedAt;
+            for (const day of new Set(this.impressions.map(impression => this._dayKey(impression.airedAt)))) {
+                this._save(this._dayStart(day));
+            }
+        }
+        this.impressions.sort((a, b) => a.airedAt - b.airedAt);
+        this._nextImpressionId = Math.max(this._nextImpressionId,
+            this.impressions.reduce((max, i) => Math.max(max, i.id || 0), 0) + 1);
+        this._prune();
+    }
+
+    // Rewrites the bucket of the day `airedAt` falls on; the other days stay as stored
+    _save(airedAt = Date.now()) {
+        if (!this.store) return;
+        const day = this._dayKey(airedAt);
+        if (!this._days.includes(day)) {
+            this._days.push(day);
+            this._days.sort();
+        }
+        this._prune();
+        if (!this._days.includes(day)) return; // older than logDays
+
+        const bucket = this.impressions.filter(impression => this._dayKey(impression.airedAt) === day);
+        // Out of quota: give up the oldest days before today's delivery
+        while (!this.store.save(`impressions:${day}`, bucket) && this._days[0] !== day) {
+            this._dropDay(this._days[0]);
+        }
+        this._saveIndex();
+    }
+
+    _saveIndex() {
+        this.store.save('log', { days: this._days, loggedSince: this.loggedSince, nextId: this._nextImpressionId });
+    }
+
+    // Days past logDays leave storage and memory; the log is complete from the oldest one kept
+    _prune() {
+        const oldestStart = this._dayStart(this._dayKey(Date.now()), 1 - this.logDays);
+        const oldest = this._dayKey(oldestStart);
+        if (!this._days.length || this._days[0] >= oldest) return;
+        while (this._days.length > 0 && this._days[0] < oldest) this._dropDay(this._days[0]);
+        this.loggedSince = Math.max(this.loggedSince, oldestStart);
+        this._saveIndex();
+    }
+
+    _dropDay(day) {
+        this.store.clear(`impressions:${day}`);
+        this._days = this._days.filter(d => d !== day);
+        const until = this._dayStart(day, 1);
+        this.impressions = this.impressions.filter(impression => impression.airedAt >= until);
+        this.loggedSince = Math.max(this.loggedSince, until);
+    }
+
+    // Local date as YYYY-MM-DD (sorts chronologically)
+    _dayKey(ms) {
+        const date = new Date(ms);
+        const pad = n => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    // Local midnight starting `day`, or `offset` days after it
+    _dayStart(day, offset = 0) {
+        const [year, month, date] = day.split('-').map(Number);
+        return new Date(year, month - 1, date + offset).getTime();
+    }
+
+    _emitError(type, message) {
+        console.warn(`[SponsorManager] ${message}`);
+        if (typeof this.onError === 'function') this.onError({ type, message });
+    }
+
+    // null: no bound; undefined: unreadable. Date-only ends run through that day.
+    static _parseDate(value, isEnd) {
+        if (value === undefined || value === null || value === '') return null;
+        if (value instanceof Date) return isNaN(value) ? undefined : value.getTime();
+
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value).trim());
+        if (match) {
+            return new Date(+match[1], +match[2] - 1, +match[3] + (isEnd ? 1 : 0)).getTime();
+        }
+        const time = Date.parse(value);
+        return isNaN(time) ? undefined : time;
+    }
+
+    static _trackLabel(track) {
+        return `${track.artist || 'Unknown'} — ${track.title || 'Unknown'}`;
+    }
+
+    static _csvField(value) {
+        if (value === null || value === undefined) return '';
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+}
+
+/* ─── EXPORT ─── */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SponsorManager;
+} else {
+    window.SponsorManager = SponsorManager;
+}
@@ -0,0 +1,107 @@
+/* ═══════════════════════════════════════════
+   AMARADIO — ICY Stream Stub
+   Local Shoutcast/Icecast stand-in for testing
+   live-stream mode without a real station.
+
+   Usage:  node tools/icy-stream-stub.js [port]
+   Then:   new RadioEngine({ liveMetadata: new IcyMetadataReader() })
+           radio.playLive('http://localhost:8765/live')
+
+   • Silent 128kbps MP3 frames, paced in real time
+   • StreamTitle rotates every ROTATE_SECONDS
+   • Metadata only when the client sends Icy-MetaData: 1
+   • CORS headers so the browser can read icy-metaint
+   ═══════════════════════════════════════════ */
+
+const http = require('http');
+
+const PORT = parseInt(process.argv[2] || process.env.PORT || '8765', 10);
+const META_INT = 16000;          // bytes of audio between metadata blocks (= 1s @ 128kbps)
+const ROTATE_SECONDS = 20;
+
+const TITLES = [
+    'TitoM & Yuppe - Tshwala Bam',
+    'Kelvin Momo - Abalele',
+    'Shimza - Indlela',
+    'Da Capo - Africanism',
+    'Zee Nxumalo - Mshini Wam'
+];
+
+// MPEG-1 Layer III, 128kbps, 44.1kHz, no padding: 417-byte frames of silence
+const FRAME = Buffer.alloc(417);
+FRAME.set([0xFF, 0xFB, 0x90, 0x64]);
+const BYTES_PER_SECOND = 16000;
+
+function currentTitle() {
+    const slot = Math.floor(Date.now() / 1000 / ROTATE_SECONDS);
+    return TITLES[slot % TITLES.length];
+}
+
+function metadataBlock(title) {
+    const text = Buffer.from(`StreamTitle='${title}';StreamUrl='';`, 'utf8');
+    const units = Math.ceil(text.length / 16);
+    const block = Buffer.alloc(1 + units * 16);
+    block[0] = units;
+    text.copy(block, 1);
+    return block;
+}
+
+const server = http.createServer((req, res) => {
+    const cors = {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Icy-MetaData',
+        'Access-Control-Expose-Headers': 'icy-metaint, icy-name'
+    };
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, cors);
+        res.end();
+        return;
+    }
+
+    const wantsMeta = req.headers['icy-metadata'] === '1';
+    res.writeHead(200, {
+        ...cors,
+        'Content-Type': 'audio/mpeg',
+        'Cache-Control': 'no-cache',
+        'icy-name': 'Amaradio Stub',
+        ...(wantsMeta ? { 'icy-metaint': String(META_INT) } : {})
+    });
+
+    let untilMeta = META_INT;
+    let lastTitle = null;
+    let frameOffset = 0;
+
+    // Write one second of audio per tick, splicing metadata at exact byte offsets
+    const tick = () => {
+        let remaining = BYTES_PER_SECOND;
+        const parts = [];
+
+        while (remaining > 0) {
+            const take = Math.min(remaining, wantsMeta ? untilMeta : remaining, FRAME.length - frameOffset);
+            parts.push(FRAME.subarray(frameOffset, frameOffset + take));
+            frameOffset = (frameOffset + take) % FRAME.length;
+            remaining -= take;
+
+            if (wantsMeta) {
+                untilMeta -= take;
+                if (untilMeta === 0) {
+                    const title = currentTitle();
+                    // Zero-length block when nothing changed, like real servers
+                    parts.push(title === lastTitle ? Buffer.from([0]) : metadataBlock(title));
+                    lastTitle = title;
+                    untilMeta = META_INT;
+                }
+            }
+        }
+        res.write(Buffer.concat(parts));
+    };
+
+    tick();
+    const timer = setInterval(tick, 1000);
+    req.on('close', () => clearInterval(timer));
+});
+
+server.listen(PORT, () => {
+    console.log(`[icy-stub] streaming on http://localhost:${PORT}/live (metaint ${META_INT})`);
+});
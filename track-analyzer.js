@@ -0,0 +1,392 @@
+/* ═══════════════════════════════════════════
+   AMARADIO — Track Analyzer v1.0
+   Offline tagging for untagged catalog
+
+   • OfflineAudioContext decode + kick-band render
+   • Tempo estimate (onset autocorrelation)
+   • Energy score (numeric 0.0–1.0)
+   • Intro / outro length detection
+   • Leading / trailing silence detection
+   • Memory + persistent result cache, keyed on
+     track identity; failures are remembered for
+     failureTtl so they aren't fetched every visit
+   ═══════════════════════════════════════════ */
+
+class TrackAnalyzer {
+    constructor(options = {}) {
+        // ─── Configuration ───
+        this.sampleRate = options.sampleRate || 22050;   // plenty for tempo & energy
+        this.hopSize = options.hopSize || 256;           // ~11.6ms envelope frames @ 22.05kHz
+        this.bpmRange = options.bpmRange || { min: 85, max: 170 };
+        this.maxBytes = options.maxBytes || 40 * 1024 * 1024; // guard against endless streams
+        this.timeoutMs = options.timeoutMs || 30000;
+        this.silenceThreshold = options.silenceThreshold || 0.001; // RMS (-60 dBFS)
+
+        // ─── Cache (memory first, then persistent storage) ───
+        this.cache = new Map();
+        this.storage = options.storage !== undefined ? options.storage : this._defaultStorage();
+        this.storagePrefix = 'amaradio:analysis:';
+        this.failureTtl = options.failureTtl || 24 * 60 * 60 * 1000; // ms before a failed track is tried again
+        this._failures = new Map(); // cache key → ms of the last failure
+
+        // In-flight analyses, so concurrent callers share one decode
+        this._pending = new Map();
+    }
+
+    _defaultStorage() {
+        try {
+            return typeof localStorage !== 'undefined' ? localStorage : null;
+        } catch (e) {
+            return null; // storage blocked (private mode, sandboxed iframe)
+        }
+    }
+
+    /* ═══════════════════════════════════════════
+       PUBLIC API
+       ═══════════════════════════════════════════ */
+
+    async analyze(track) {
+        const cacheKey = this._cacheKey(track);
+        if (!cacheKey) return null;
+
+        const cached = this.getCached(track);
+        if (cached) return cached;
+
+        if (this._pending.has(cacheKey)) return this._pending.get(cacheKey);
+        if (this._failedRecently(cacheKey)) return null;
+
+        const job = this._analyzeUrl(track.url)
+            .then(result => {
+                this._store(cacheKey, result);
+                return result;
+            }, e => {
+                this._storeFailure(cacheKey);
+                throw e;
+            })
+            .finally(() => this._pending.delete(cacheKey));
+
+        this._pending.set(cacheKey, job);
+        return job;
+    }
+
+    getCached(track) {
+        const cacheKey = this._cacheKey(track);
+        if (!cacheKey) return null;
+        if (this.cache.has(cacheKey)) return this.cache.get(cacheKey);
+
+        try {
+            const raw = this.storage && this.storage.getItem(this.storagePrefix + cacheKey);
+            if (raw) {
+                const result = JSON.parse(raw);
+                this.cache.set(cacheKey, result);
+                return result;
+            }
+        } catch (e) {
+            console.warn('[TrackAnalyzer] Cache read failed:', e);
+        }
+        return null;
+    }
+
+    // Everything under the prefix goes, including results and failures saved on earlier visits
+    clearCache() {
+        this.cache.clear();
+        this._failures.clear();
+        if (!this.storage) return;
+        try {
+            const keys = [];
+            for (let i = 0; i < this.storage.length; i++) {
+                const key = this.storage.key(i);
+                if (key && key.startsWith(this.storagePrefix)) keys.push(key);
+            }
+            for (const key of keys) this.storage.removeItem(key); // collected first: removal shifts the indices
+        } catch (e) { /* silently fail */ }
+    }
+
+    // Pure analysis of an already-decoded buffer (no caching)
+    async analyzeBuffer(audioBuffer) {
+        const mono = this._mixdown(audioBuffer);
+        const kick = await this._renderKickBand(audioBuffer);
+        const frameRate = audioBuffer.sampleRate / this.hopSize;
+
+        const fullEnvelope = this._rmsEnvelope(mono);
+        const kickEnvelope = this._rmsEnvelope(kick);
+        const onsets = this._onsetStrength(kickEnvelope);
+
+        return {
+            bpm: this._estimateTempo(onsets, frameRate),
+            energy: this._estimateEnergy(fullEnvelope, kickEnvelope, onsets),
+            ...this._estimateIntroOutro(kickEnvelope, frameRate),
+            ...this._detectSilence(fullEnvelope, frameRate),
+            duration: audioBuffer.duration,
+            analyzedAt: Date.now()
+        };
+    }
+
+    /* ═══════════════════════════════════════════
+       DECODING
+       ═══════════════════════════════════════════ */
+
+    async _analyzeUrl(url) {
+        const data = await this._fetchBytes(url);
+        const OfflineCtx = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        if (!OfflineCtx) throw new Error('OfflineAudioContext unavailable');
+
+        // Decoding resamples to the context rate, keeping the envelopes cheap
+        const decoder = new OfflineCtx(1, 1, this.sampleRate);
+        const buffer = await decoder.decodeAudioData(data);
+        return this.analyzeBuffer(buffer);
+    }
+
+    async _fetchBytes(url) {
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timer = controller ? setTimeout(() => controller.abort(), this.timeoutMs) : null;
+
+        try {
+            const response = await fetch(url, controller ? { signal: controller.signal } : undefined);
+            if (!response.ok) throw new Error(`HTTP ${response.status} for ${url}`);
+
+            if (!response.body) return await response.arrayBuffer();
+
+            // Read incrementally so a live stream can't grow without bound
+            const reader = response.body.getReader();
+            const chunks = [];
+            let received = 0;
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                received += value.byteLength;
+                if (received > this.maxBytes) {
+                    reader.cancel();
+                    throw new Error(`${url} exceeds analysis size limit (live stream?)`);
+                }
+                chunks.push(value);
+            }
+
+            const bytes = new Uint8Array(received);
+            let offset = 0;
+            for (const chunk of chunks) {
+                bytes.set(chunk, offset);
+                offset += chunk.byteLength;
+            }
+            return bytes.buffer;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    _mixdown(audioBuffer) {
+        const length = audioBuffer.length;
+        const mono = new Float32Array(length);
+        const channels = audioBuffer.numberOfChannels;
+
+        for (let c = 0; c < channels; c++) {
+            const data = audioBuffer.getChannelData(c);
+            for (let i = 0; i < length; i++) mono[i] += data[i] / channels;
+        }
+        return mono;
+    }
+
+    async _renderKickBand(audioBuffer) {
+        const OfflineCtx = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        const offline = new OfflineCtx(1, audioBuffer.length, audioBuffer.sampleRate);
+
+        const source = offline.createBufferSource();
+        source.buffer = audioBuffer;
+
+        // Log drums and kicks live below ~150Hz
+        const lowpass = offline.createBiquadFilter();
+        lowpass.type = 'lowpass';
+        lowpass.frequency.value = 150;
+
+        source.connect(lowpass);
+        lowpass.connect(offline.destination);
+        source.start(0);
+
+        const rendered = await offline.startRendering();
+        return rendered.getChannelData(0);
+    }
+
+    /* ═══════════════════════════════════════════
+       FEATURE EXTRACTION
+       ═══════════════════════════════════════════ */
+
+    _rmsEnvelope(samples) {
+        const frames = Math.floor(samples.length / this.hopSize);
+        const envelope = new Float32Array(frames);
+
+        for (let f = 0; f < frames; f++) {
+            let sum = 0;
+            const start = f * this.hopSize;
+            for (let i = start; i < start + this.hopSize; i++) sum += samples[i] * samples[i];
+            envelope[f] = Math.sqrt(sum / this.hopSize);
+        }
+        return envelope;
+    }
+
+    _onsetStrength(envelope) {
+        // Half-wave rectified log-energy difference
+        const onsets = new Float32Array(envelope.length);
+        let prev = Math.log(1e-6 + envelope[0]);
+        for (let i = 1; i < envelope.length; i++) {
+            const curr = Math.log(1e-6 + envelope[i]);
+            onsets[i] = Math.max(0, curr - prev);
+            prev = curr;
+        }
+        return onsets;
+    }
+
+    _estimateTempo(onsets, frameRate) {
+        const minLag = Math.floor(frameRate * 60 / this.bpmRange.max);
+        const maxLag = Math.ceil(frameRate * 60 / this.bpmRange.min);
+        if (onsets.length <= maxLag) return null;
+
+        // Autocorrelation weighted toward ~120 BPM (log-Gaussian prior)
+        const scores = new Float32Array(maxLag + 2);
+        let bestLag = -1, bestScore = 0;
+
+        for (let lag = minLag; lag <= maxLag + 1; lag++) {
+            let sum = 0;
+            for (let i = lag; i < onsets.length; i++) sum += onsets[i] * onsets[i - lag];
+
+            const bpm = frameRate * 60 / lag;
+            const prior = Math.exp(-0.5 * Math.pow(Math.log2(bpm / 120) / 0.5, 2));
+            scores[lag] = (sum / (onsets.length - lag)) * prior;
+
+            if (lag <= maxLag && scores[lag] > bestScore) {
+                bestScore = scores[lag];
+                bestLag = lag;
+            }
+        }
+        if (bestLag < 0) return null;
+
+        // Parabolic interpolation around the peak for sub-frame precision
+        let lag = bestLag;
+        if (bestLag > minLag) {
+            const a = scores[bestLag - 1], b = scores[bestLag], c = scores[bestLag + 1];
+            const denom = a - 2 * b + c;
+            if (denom !== 0) lag = bestLag + 0.5 * (a - c) / denom;
+        }
+
+        return Math.round((frameRate * 60 / lag) * 10) / 10;
+    }
+
+    _estimateEnergy(fullEnvelope, kickEnvelope, onsets) {
+        const mean = list => list.reduce((a, b) => a + b, 0) / Math.max(1, list.length);
+
+        // Loudness: mean RMS mapped from -30dBFS (0) to -6dBFS (1)
+        const rmsDb = 20 * Math.log10(1e-6 + mean(fullEnvelope));
+        const loudness = (rmsDb + 30) / 24;
+
+        // Drive: how much the kick band is punching (onset density)
+        const drive = mean(onsets) * 8;
+
+        // Weight: share of energy sitting in the bass
+        const bassRatio = mean(kickEnvelope) / (1e-6 + mean(fullEnvelope));
+
+        const score = loudness * 0.5 + drive * 0.3 + bassRatio * 0.2;
+        return Math.round(Math.max(0, Math.min(1, score)) * 100) / 100;
+    }
+
+    _estimateIntroOutro(kickEnvelope, frameRate) {
+        // Smooth over ~2s so single hits don't count as the groove arriving
+        const span = Math.max(1, Math.round(frameRate * 2));
+        const smoothed = new Float32Array(kickEnvelope.length);
+        let running = 0;
+        for (let i = 0; i < kickEnvelope.length; i++) {
+            running += kickEnvelope[i];
+            if (i >= span) running -= kickEnvelope[i - span];
+            smoothed[i] = running / span; // silence assumed before the first frame
+        }
+
+        const sorted = Array.from(smoothed).sort((a, b) => a - b);
+        const median = sorted[Math.floor(sorted.length / 2)] || 0;
+        const threshold = median * 0.5;
+
+        let introEnd = 0;
+        while (introEnd < smoothed.length && smoothed[introEnd] < threshold) introEnd++;
+
+        let outroStart = smoothed.length - 1;
+        while (outroStart > introEnd && smoothed[outroStart] < threshold) outroStart--;
+
+        // Trailing mean lags the envelope by about half a window on both edges
+        const introFrames = Math.max(0, introEnd - span / 2);
+        const outroFrames = Math.max(0, smoothed.length - 1 - outroStart + span / 2);
+        const round = seconds => Math.round(seconds * 10) / 10;
+
+        return {
+            introLength: round(introFrames / frameRate),
+            outroLength: round(Math.min(outroFrames, smoothed.length - introFrames) / frameRate)
+        };
+    }
+
+    _detectSilence(envelope, frameRate) {
+        // Digital silence / noise floor padding at either end of the file
+        let start = 0;
+        while (start < envelope.length && envelope[start] < this.silenceThreshold) start++;
+
+        let end = envelope.length;
+        while (end > start && envelope[end - 1] < this.silenceThreshold) end--;
+
+        const round = seconds => Math.round(seconds * 100) / 100;
+        return {
+            leadingSilence: round(start / frameRate),
+            trailingSilence: round((envelope.length - end) / frameRate)
+        };
+    }
+
+    /* ═══════════════════════════════════════════
+       CACHE HELPERS
+       ═══════════════════════════════════════════ */
+
+    // Catalogs can point several tracks at one url, so the url alone isn't an identity
+    _cacheKey(track) {
+        if (!track) return null;
+        if (track.id) return String(track.id);
+        if (!track.url) return null;
+        return `${track.artist || ''}|${track.title || ''}|${track.url}`;
+    }
+
+    _store(cacheKey, result) {
+        this.cache.set(cacheKey, result);
+        this._failures.delete(cacheKey);
+        try {
+            if (this.storage) {
+                this.storage.setItem(this.storagePrefix + cacheKey, JSON.stringify(result));
+                this.storage.removeItem(`${this.storagePrefix}failed:${cacheKey}`);
+            }
+        } catch (e) {
+            console.warn('[TrackAnalyzer] Cache write failed:', e);
+        }
+    }
+
+    _failedRecently(cacheKey) {
+        let failedAt = this._failures.get(cacheKey);
+        if (failedAt === undefined) {
+            try {
+                const raw = this.storage && this.storage.getItem(`${this.storagePrefix}failed:${cacheKey}`);
+                failedAt = raw ? Number(raw) : 0;
+            } catch (e) {
+                failedAt = 0;
+            }
+            this._failures.set(cacheKey, failedAt);
+        }
+        return Date.now() - failedAt < this.failureTtl;
+    }
+
+    _storeFailure(cacheKey) {
+        const now = Date.now();
+        this._failures.set(cacheKey, now);
+        try {
+            if (this.storage) this.storage.setItem(`${this.storagePrefix}failed:${cacheKey}`, String(now));
+        } catch (e) {
+            console.warn('[TrackAnalyzer] Cache write failed:', e);
+        }
+    }
+}
+
+/* ─── EXPORT ─── */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TrackAnalyzer;
+} else {
+    window.TrackAnalyzer = TrackAnalyzer;
+}